@@ -0,0 +1,78 @@
+// Offline queue for analytics batches, shared by script.js and sw.js.
+// Batches that could not be sent wait in IndexedDB until the service worker
+// (or the page, without one) flushes them.
+
+const ANALYTICS_DB_NAME = 'chanfm-analytics';
+const ANALYTICS_STORE = 'batches';
+// Batches older than this are dropped rather than sent late
+const ANALYTICS_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+function openAnalyticsQueue() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(ANALYTICS_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(ANALYTICS_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// batch: { endpoint, events: [...], queuedAt }
+async function enqueueAnalyticsBatch(batch) {
+    const db = await openAnalyticsQueue();
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction(ANALYTICS_STORE, 'readwrite');
+        tx.objectStore(ANALYTICS_STORE).add({ ...batch, queuedAt: Date.now() });
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+    db.close();
+}
+
+// Send queued batches oldest first; stops at the first network failure
+async function flushAnalyticsQueue() {
+    const db = await openAnalyticsQueue();
+    const batches = await new Promise((resolve, reject) => {
+        const request = db.transaction(ANALYTICS_STORE).objectStore(ANALYTICS_STORE).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    let sent = 0;
+    try {
+        for (const batch of batches) {
+            if (Date.now() - batch.queuedAt < ANALYTICS_MAX_AGE) {
+                await postAnalyticsBatch(batch.endpoint, batch.events);
+                sent++;
+            }
+            await deleteAnalyticsBatch(db, batch.id);
+        }
+    } finally {
+        db.close();
+    }
+    return sent;
+}
+
+function deleteAnalyticsBatch(db, id) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(ANALYTICS_STORE, 'readwrite');
+        tx.objectStore(ANALYTICS_STORE).delete(id);
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function postAnalyticsBatch(endpoint, events) {
+    return fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events }),
+        keepalive: true
+    }).then(response => {
+        // Server errors are retried later; a rejected batch (4xx) never will succeed
+        if (response.status >= 500) {
+            throw new Error(`${endpoint}: HTTP ${response.status}`);
+        }
+    });
+}
@@ -0,0 +1,107 @@
+// Metadata for the service worker's caches: when each entry was stored, when it was
+// last served and its size in bytes. Kept in IndexedDB because cached responses can't
+// say this themselves: opaque CDN responses hide their headers, and reading bodies
+// back just to measure them is slow.
+
+const CACHE_METADATA_DB_NAME = 'chanfm-cache-metadata';
+const CACHE_METADATA_STORE = 'entries';
+
+function openCacheMetadata() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(CACHE_METADATA_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(CACHE_METADATA_STORE, { keyPath: ['cache', 'url'] });
+            store.createIndex('cache', 'cache');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run fn(store) in one transaction; resolves with fn's request result once it commits
+async function withCacheMetadata(mode, fn) {
+    const db = await openCacheMetadata();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(CACHE_METADATA_STORE, mode);
+            const request = fn(tx.objectStore(CACHE_METADATA_STORE));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// entry: { cache, url, size, storedAt, accessedAt, precached }. size is null when the
+// response is opaque; precached entries are exempt from expiry.
+function putCacheEntries(entries) {
+    return withCacheMetadata('readwrite', store => {
+        entries.forEach(entry => store.put(entry));
+    });
+}
+
+// Storing a URL again refreshes it, but never un-pins a precached entry
+function recordCacheEntry(cache, url, size, precached) {
+    return withCacheMetadata('readwrite', store => {
+        const request = store.get([cache, url]);
+        request.onsuccess = () => {
+            const now = Date.now();
+            store.put({
+                cache,
+                url,
+                size,
+                storedAt: now,
+                accessedAt: now,
+                precached: Boolean(precached || request.result?.precached)
+            });
+        };
+    });
+}
+
+// Last access drives LRU eviction; entries without metadata are left alone
+function touchCacheEntry(cache, url) {
+    return withCacheMetadata('readwrite', store => {
+        const request = store.get([cache, url]);
+        request.onsuccess = () => {
+            if (request.result) store.put({ ...request.result, accessedAt: Date.now() });
+        };
+    });
+}
+
+// Every entry of one cache, or of all caches without a name
+function readCacheEntries(cache) {
+    return withCacheMetadata('readonly', store => cache === undefined
+        ? store.getAll()
+        : store.index('cache').getAll(IDBKeyRange.only(cache)));
+}
+
+function deleteCacheEntries(cache, urls) {
+    return withCacheMetadata('readwrite', store => {
+        urls.forEach(url => store.delete([cache, url]));
+    });
+}
+
+// Forget a whole cache, or every cache without a name
+function deleteCacheMetadata(cache) {
+    return withCacheMetadata('readwrite', store => {
+        if (cache === undefined) {
+            store.clear();
+            return;
+        }
+        const request = store.index('cache').openKeyCursor(IDBKeyRange.only(cache));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    });
+}
+
+// Carry entries over to a new cache, keeping their ages
+async function copyCacheEntries(from, to, urls) {
+    const wanted = new Set(urls);
+    const entries = (await readCacheEntries(from)).filter(entry => wanted.has(entry.url));
+    await putCacheEntries(entries.map(entry => ({ ...entry, cache: to })));
+}
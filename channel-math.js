@@ -0,0 +1,211 @@
+// Channel analysis helpers for the H-matrix visualizer and the benchmark scorer
+// H is tx_M x rx_N, optionally stacked per subcarrier, with entries in any of the
+// sample formats (number, [re, im] or { re, im }). Requires schema.js.
+
+function toComplex(value) {
+    if (typeof value === 'number') return { re: value, im: 0 };
+    if (Array.isArray(value)) return { re: value[0], im: value[1] };
+    return { re: value.re, im: value.im };
+}
+
+// Normalize H to { subcarriers, rows, cols, data[k][i][j] = { re, im } }, or { error }
+function channelTensor(H) {
+    const shape = channelShape(H);
+    if (shape.error) return shape;
+
+    const matrices = isComplexValue(H[0][0]) ? [H] : H;
+    return {
+        ...shape,
+        data: matrices.map(matrix => matrix.map(row => row.map(toComplex)))
+    };
+}
+
+// Scale so the average entry has unit power, i.e. ||H||_F^2 = K * M * N
+function normalizeChannel(tensor) {
+    const power = averagePower(tensor);
+    if (power === 0) return tensor;
+
+    return scaleChannel(tensor, 1 / Math.sqrt(power));
+}
+
+function scaleChannel(tensor, scale) {
+    return {
+        ...tensor,
+        data: tensor.data.map(matrix => matrix.map(row => row.map(z => ({ re: z.re * scale, im: z.im * scale }))))
+    };
+}
+
+function averagePower(tensor) {
+    let total = 0;
+    tensor.data.forEach(matrix => matrix.forEach(row => row.forEach(z => {
+        total += z.re * z.re + z.im * z.im;
+    })));
+    return total / (tensor.subcarriers * tensor.rows * tensor.cols);
+}
+
+// Singular values of one complex matrix, largest first.
+// Eigenvalues of the Hermitian Gram matrix A = H^H H, found with Jacobi on its
+// real 2n x 2n embedding [[Re A, -Im A], [Im A, Re A]] (every eigenvalue appears twice).
+function singularValues(matrix) {
+    const rows = matrix.length;
+    const cols = matrix[0].length;
+    const n = cols;
+    const embedded = Array.from({ length: 2 * n }, () => new Array(2 * n).fill(0));
+
+    for (let p = 0; p < n; p++) {
+        for (let q = 0; q < n; q++) {
+            let re = 0;
+            let im = 0;
+            for (let i = 0; i < rows; i++) {
+                const a = matrix[i][p];
+                const b = matrix[i][q];
+                // conj(a) * b
+                re += a.re * b.re + a.im * b.im;
+                im += a.re * b.im - a.im * b.re;
+            }
+            embedded[p][q] = re;
+            embedded[p + n][q + n] = re;
+            embedded[p][q + n] = -im;
+            embedded[p + n][q] = im;
+        }
+    }
+
+    const eigenvalues = jacobiEigenvalues(embedded).sort((a, b) => b - a);
+    const values = [];
+    for (let k = 0; k < Math.min(rows, cols); k++) {
+        values.push(Math.sqrt(Math.max(0, eigenvalues[2 * k])));
+    }
+    return values;
+}
+
+// Cyclic Jacobi rotations for a real symmetric matrix (modified in place)
+function jacobiEigenvalues(a) {
+    const n = a.length;
+    const maxSweeps = 100;
+
+    for (let sweep = 0; sweep < maxSweeps; sweep++) {
+        let offDiagonal = 0;
+        let diagonal = 0;
+        for (let p = 0; p < n; p++) {
+            diagonal += a[p][p] * a[p][p];
+            for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+        }
+        if (offDiagonal <= 1e-24 * (diagonal || 1)) break;
+
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (a[p][q] === 0) continue;
+
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+            }
+        }
+    }
+
+    return a.map((row, i) => row[i]);
+}
+
+// Shannon capacity in bit/s/Hz with equal power per TX antenna and no CSI at the
+// transmitter, averaged over subcarriers: mean_k sum_i log2(1 + SNR / M * sigma_i^2)
+function shannonCapacity(singularValuesPerSubcarrier, snrLinear, txCount) {
+    const total = singularValuesPerSubcarrier.reduce((sum, values) =>
+        sum + values.reduce((s, sigma) => s + Math.log2(1 + snrLinear / txCount * sigma * sigma), 0), 0);
+    return total / singularValuesPerSubcarrier.length;
+}
+
+// Power delay profile: inverse DFT over subcarriers for every TX/RX pair,
+// averaged over pairs. Tap k sits at delay k / bandwidth.
+function powerDelayProfile(tensor) {
+    const K = tensor.subcarriers;
+    const pdp = new Float64Array(K);
+    const cos = new Float64Array(K);
+    const sin = new Float64Array(K);
+    for (let k = 0; k < K; k++) {
+        cos[k] = Math.cos(2 * Math.PI * k / K);
+        sin[k] = Math.sin(2 * Math.PI * k / K);
+    }
+
+    for (let i = 0; i < tensor.rows; i++) {
+        for (let j = 0; j < tensor.cols; j++) {
+            for (let tap = 0; tap < K; tap++) {
+                let re = 0;
+                let im = 0;
+                for (let k = 0; k < K; k++) {
+                    const z = tensor.data[k][i][j];
+                    const w = (tap * k) % K;
+                    // z * e^{+j 2 pi tap k / K}
+                    re += z.re * cos[w] - z.im * sin[w];
+                    im += z.re * sin[w] + z.im * cos[w];
+                }
+                pdp[tap] += (re * re + im * im) / (K * K);
+            }
+        }
+    }
+
+    const pairs = tensor.rows * tensor.cols;
+    return Array.from(pdp, power => power / pairs);
+}
+
+// Mean delay and RMS delay spread in seconds, ignoring taps more than
+// thresholdDb below the strongest one (the noise floor would dominate otherwise)
+function rmsDelaySpread(pdp, tapSpacing, thresholdDb = 30) {
+    const peak = Math.max(...pdp);
+    if (!(peak > 0)) return null;
+
+    const floor = peak * Math.pow(10, -thresholdDb / 10);
+    let power = 0;
+    let first = 0;
+    let second = 0;
+    pdp.forEach((p, k) => {
+        if (p < floor) return;
+        const delay = k * tapSpacing;
+        power += p;
+        first += p * delay;
+        second += p * delay * delay;
+    });
+
+    const mean = first / power;
+    return {
+        mean,
+        rms: Math.sqrt(Math.max(0, second / power - mean * mean))
+    };
+}
+
+function toDecibels(power) {
+    return 10 * Math.log10(Math.max(power, 1e-30));
+}
+
+// ChannelBench frequency bands, as used in leaderboard.json
+function frequencyBand(frequencyHz) {
+    if (frequencyHz < 6e9) return 'sub-6';
+    if (frequencyHz < 24e9) return 'FR3';
+    if (frequencyHz < 100e9) return 'mmWave';
+    return 'sub-THz';
+}
+
+// ||A - B||_F^2 / ||B||_F^2 for tensors of the same shape
+function normalizedSquareError(estimate, reference) {
+    let error = 0;
+    let power = 0;
+    reference.data.forEach((matrix, k) => matrix.forEach((row, i) => row.forEach((z, j) => {
+        const w = estimate.data[k][i][j];
+        error += (w.re - z.re) * (w.re - z.re) + (w.im - z.im) * (w.im - z.im);
+        power += z.re * z.re + z.im * z.im;
+    })));
+    return error / power;
+}
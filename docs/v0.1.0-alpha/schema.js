@@ -0,0 +1,277 @@
+// ChanFM sample schema
+// Shared by the validator on getting-started.html and other in-browser tools
+
+const SAMPLE_ENVIRONMENTS = ['Indoor', 'UMi', 'UMa', 'RMa', 'V2X'];
+const ARRAY_GEOMETRIES = ['ULA', 'UPA', 'UCA'];
+
+// Accepted ranges, in the units the schema documents
+const SAMPLE_LIMITS = {
+    frequency_Hz: [1e8, 1e13],      // 100 MHz - 10 THz
+    bandwidth_Hz: [1e3, 1e11],
+    power_dBm: [-50, 80],
+    velocity_mps: [0, 150],
+    pos_m: [-1e5, 1e5],
+    antennas: [1, 4096],
+    path_loss_dB: [0, 300],
+    phase_deg: [-360, 360]
+};
+
+const SAMPLE_KEYS = ['scene_id', 'env', 'frequency_Hz', 'bandwidth_Hz', 'tx', 'rx', 'antenna', 'ground_truth'];
+
+// Validate one sample; returns a list of { path, message, severity } issues
+function validateSample(sample) {
+    const issues = [];
+    const error = (path, message) => issues.push({ path, message, severity: 'error' });
+    const warning = (path, message) => issues.push({ path, message, severity: 'warning' });
+
+    if (!isPlainObject(sample)) {
+        error('', 'Sample must be a JSON object');
+        return issues;
+    }
+
+    // Identification and environment
+    if (!('scene_id' in sample)) {
+        error('scene_id', 'Missing required key');
+    } else if (typeof sample.scene_id !== 'string' || sample.scene_id.trim() === '') {
+        error('scene_id', 'Must be a non-empty string');
+    }
+
+    if (!('env' in sample)) {
+        error('env', 'Missing required key');
+    } else if (!SAMPLE_ENVIRONMENTS.includes(sample.env)) {
+        const hint = SAMPLE_ENVIRONMENTS.find(env => env.toLowerCase() === String(sample.env).toLowerCase());
+        error('env', `Unknown environment ${JSON.stringify(sample.env)}; expected one of ${SAMPLE_ENVIRONMENTS.join(' | ')}` +
+            (hint ? ` (did you mean "${hint}"?)` : ''));
+    }
+
+    // Carrier
+    if (!('frequency_Hz' in sample)) {
+        error('frequency_Hz', 'Missing required key');
+    } else {
+        checkRange(sample.frequency_Hz, 'frequency_Hz', SAMPLE_LIMITS.frequency_Hz, 'Hz', error);
+        if (isFiniteNumber(sample.frequency_Hz) && sample.frequency_Hz > 0 && sample.frequency_Hz < 1e6) {
+            warning('frequency_Hz', 'Value looks like it is in GHz or MHz; frequency_Hz must be in Hz (e.g. 28e9)');
+        }
+    }
+
+    if ('bandwidth_Hz' in sample) {
+        checkRange(sample.bandwidth_Hz, 'bandwidth_Hz', SAMPLE_LIMITS.bandwidth_Hz, 'Hz', error);
+        if (isFiniteNumber(sample.bandwidth_Hz) && isFiniteNumber(sample.frequency_Hz) &&
+            sample.bandwidth_Hz >= sample.frequency_Hz) {
+            error('bandwidth_Hz', 'Bandwidth must be smaller than the carrier frequency');
+        }
+    }
+
+    // Transmitter and receiver
+    validateTerminal(sample, 'tx', true, error);
+    validateTerminal(sample, 'rx', false, error);
+
+    if (isPosition(sample.tx?.pos_m) && isPosition(sample.rx?.pos_m) &&
+        sample.tx.pos_m.every((value, i) => value === sample.rx.pos_m[i])) {
+        warning('rx.pos_m', 'Receiver is co-located with the transmitter (zero link distance)');
+    }
+
+    // Antenna configuration
+    let antennaKey = 'antenna';
+    if (!('antenna' in sample) && 'ant' in sample) {
+        antennaKey = 'ant';
+        warning('ant', 'Shorthand "ant" is accepted by api.predict, but datasets should use "antenna"');
+    }
+
+    const antenna = sample[antennaKey];
+    if (antenna === undefined) {
+        error('antenna', 'Missing required key');
+    } else if (!isPlainObject(antenna)) {
+        error(antennaKey, 'Must be an object with tx_M and rx_N');
+    } else {
+        ['tx_M', 'rx_N'].forEach(key => {
+            const path = `${antennaKey}.${key}`;
+            if (!(key in antenna)) {
+                error(path, 'Missing required key');
+            } else if (!Number.isInteger(antenna[key])) {
+                error(path, 'Must be an integer antenna count');
+            } else {
+                checkRange(antenna[key], path, SAMPLE_LIMITS.antennas, 'antennas', error);
+            }
+        });
+
+        ['tx_array_geom', 'rx_array_geom'].forEach(key => {
+            if (key in antenna && !ARRAY_GEOMETRIES.includes(antenna[key])) {
+                error(`${antennaKey}.${key}`, `Unknown array geometry ${JSON.stringify(antenna[key])}; expected one of ${ARRAY_GEOMETRIES.join(' | ')}`);
+            }
+        });
+    }
+
+    // Ground truth
+    if ('ground_truth' in sample) {
+        const truth = sample.ground_truth;
+        if (!isPlainObject(truth)) {
+            error('ground_truth', 'Must be an object');
+        } else {
+            if ('path_loss_dB' in truth) {
+                checkRange(truth.path_loss_dB, 'ground_truth.path_loss_dB', SAMPLE_LIMITS.path_loss_dB, 'dB', error);
+            }
+            if ('phase_deg' in truth) {
+                checkRange(truth.phase_deg, 'ground_truth.phase_deg', SAMPLE_LIMITS.phase_deg, 'deg', error);
+            }
+            if ('H' in truth) {
+                validateChannelMatrix(truth.H, isPlainObject(antenna) ? antenna : {}, error);
+            }
+        }
+    }
+
+    Object.keys(sample)
+        .filter(key => !SAMPLE_KEYS.includes(key) && key !== 'ant')
+        .forEach(key => warning(key, 'Unknown key; it will be ignored by load_dataset'));
+
+    return issues;
+}
+
+function validateTerminal(sample, key, requirePower, error) {
+    const terminal = sample[key];
+    if (terminal === undefined) {
+        error(key, 'Missing required key');
+        return;
+    }
+    if (!isPlainObject(terminal)) {
+        error(key, 'Must be an object');
+        return;
+    }
+
+    if (!('pos_m' in terminal)) {
+        error(`${key}.pos_m`, 'Missing required key');
+    } else if (!Array.isArray(terminal.pos_m) || terminal.pos_m.length !== 3) {
+        const length = Array.isArray(terminal.pos_m) ? terminal.pos_m.length : 'not an array';
+        error(`${key}.pos_m`, `Must be a vector [x, y, z] of length 3 (got ${length})`);
+    } else {
+        terminal.pos_m.forEach((value, i) => {
+            checkRange(value, `${key}.pos_m[${i}]`, SAMPLE_LIMITS.pos_m, 'm', error);
+        });
+    }
+
+    if ('power_dBm' in terminal) {
+        checkRange(terminal.power_dBm, `${key}.power_dBm`, SAMPLE_LIMITS.power_dBm, 'dBm', error);
+    } else if (requirePower) {
+        error(`${key}.power_dBm`, 'Missing required key');
+    }
+
+    if ('velocity_mps' in terminal) {
+        checkRange(terminal.velocity_mps, `${key}.velocity_mps`, SAMPLE_LIMITS.velocity_mps, 'm/s', error);
+    }
+}
+
+function validateChannelMatrix(H, antenna, error) {
+    const shape = channelShape(H);
+    if (shape.error) {
+        error('ground_truth.H', shape.error);
+        return;
+    }
+
+    if (Number.isInteger(antenna.tx_M) && shape.rows !== antenna.tx_M) {
+        error('ground_truth.H', `Has ${shape.rows} rows but antenna.tx_M is ${antenna.tx_M}`);
+    }
+    if (Number.isInteger(antenna.rx_N) && shape.cols !== antenna.rx_N) {
+        error('ground_truth.H', `Has ${shape.cols} columns but antenna.rx_N is ${antenna.rx_N}`);
+    }
+}
+
+// Shape of an H matrix: tx_M x rx_N, optionally stacked per subcarrier.
+// Complex entries are [re, im] pairs or { re, im } objects; plain numbers are real.
+function channelShape(H) {
+    if (!Array.isArray(H) || H.length === 0) {
+        return { error: 'Must be a non-empty array of rows' };
+    }
+
+    const perSubcarrier = Array.isArray(H[0]) && H[0].length > 0 && !isComplexValue(H[0][0]);
+    const matrices = perSubcarrier ? H : [H];
+
+    const rows = Array.isArray(matrices[0]) ? matrices[0].length : 0;
+    const cols = Array.isArray(matrices[0]?.[0]) ? matrices[0][0].length : 0;
+    if (rows === 0 || cols === 0) {
+        return { error: 'Must be a non-empty tx_M x rx_N matrix' };
+    }
+
+    for (let k = 0; k < matrices.length; k++) {
+        const matrix = matrices[k];
+        const where = perSubcarrier ? ` (subcarrier ${k})` : '';
+        if (!Array.isArray(matrix) || matrix.length !== rows) {
+            return { error: `Inconsistent number of rows${where}; expected ${rows}` };
+        }
+        for (let i = 0; i < rows; i++) {
+            if (!Array.isArray(matrix[i]) || matrix[i].length !== cols) {
+                return { error: `Row ${i}${where} has ${Array.isArray(matrix[i]) ? matrix[i].length : 'no'} entries; expected ${cols}` };
+            }
+            const bad = matrix[i].findIndex(value => !isComplexValue(value));
+            if (bad !== -1) {
+                return { error: `Entry [${i}][${bad}]${where} is not a number, [re, im] pair or { re, im } object` };
+            }
+        }
+    }
+
+    return { subcarriers: perSubcarrier ? matrices.length : 1, rows, cols };
+}
+
+// Parse pasted or uploaded text as a JSON object, a JSON array or JSONL
+function parseSampleText(text) {
+    const samples = [];
+    const errors = [];
+    const trimmed = text.trim();
+
+    if (trimmed === '') {
+        return { samples, errors };
+    }
+
+    try {
+        const parsed = JSON.parse(trimmed);
+        if (Array.isArray(parsed)) {
+            parsed.forEach((value, i) => samples.push({ index: i, line: null, value }));
+        } else {
+            samples.push({ index: 0, line: 1, value: parsed });
+        }
+        return { samples, errors };
+    } catch (error) {
+        // Not a single JSON document - fall through to JSONL
+    }
+
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (line.trim() === '') return;
+        try {
+            samples.push({ index: samples.length, line: i + 1, value: JSON.parse(line) });
+        } catch (error) {
+            errors.push({ line: i + 1, message: `Invalid JSON: ${error.message}` });
+        }
+    });
+
+    return { samples, errors };
+}
+
+// Helpers
+function checkRange(value, path, [min, max], unit, error) {
+    if (!isFiniteNumber(value)) {
+        error(path, `Must be a number in ${unit}`);
+    } else if (value < min || value > max) {
+        error(path, `${formatLimit(value)} ${unit} is out of range [${formatLimit(min)}, ${formatLimit(max)}] ${unit}`);
+    }
+}
+
+function formatLimit(value) {
+    return Math.abs(value) >= 1e5 ? value.toExponential() : String(value);
+}
+
+function isPosition(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+}
+
+function isComplexValue(value) {
+    if (isFiniteNumber(value)) return true;
+    if (Array.isArray(value)) return value.length === 2 && value.every(isFiniteNumber);
+    return isPlainObject(value) && isFiniteNumber(value.re) && isFiniteNumber(value.im);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
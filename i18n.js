@@ -0,0 +1,51 @@
+// Site language. The HTML is written in English; i18n/<code>.json bundles translate
+// the elements marked data-i18n="message.id" (script.js applies them, and sets
+// <html lang> once one has loaded). Loaded just before script.js, which reads these.
+// Only declarations, so scripts/build-i18n.js can read SITE_LANGUAGES too.
+
+const LANGUAGE_KEY = 'chanfm-language';
+const SITE_LANGUAGES = [
+    { code: 'en', lang: 'en', name: 'English' },
+    { code: 'zh', lang: 'zh-Hans', name: '简体中文' },
+    { code: 'ja', lang: 'ja', name: '日本語' },
+    { code: 'ko', lang: 'ko', name: '한국어' }
+];
+
+function findSiteLanguage(code) {
+    return SITE_LANGUAGES.find(language => language.code === code) || null;
+}
+
+function storedLanguage() {
+    try {
+        return findSiteLanguage(localStorage.getItem(LANGUAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// ?lang=zh is what the hreflang alternates link to; it applies to that view only
+function requestedLanguage() {
+    return findSiteLanguage(new URLSearchParams(location.search).get('lang'));
+}
+
+// First browser language we have a bundle for, matched on the primary subtag
+function browserLanguage() {
+    const preferred = navigator.languages || [navigator.language || ''];
+    for (const tag of preferred) {
+        const language = findSiteLanguage(tag.toLowerCase().split('-')[0]);
+        if (language) return language;
+    }
+    return null;
+}
+
+function preferredLanguage() {
+    return requestedLanguage() || storedLanguage() || browserLanguage() || SITE_LANGUAGES[0];
+}
+
+function storeLanguage(code) {
+    try {
+        localStorage.setItem(LANGUAGE_KEY, code);
+    } catch (error) {
+        // Not persisted, but still applied for this page
+    }
+}
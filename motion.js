@@ -0,0 +1,100 @@
+// Motion policy: the one place that decides whether the site animates.
+// Combines the OS prefers-reduced-motion setting, the visitor's own choice and a
+// frame-budget probe, and mirrors the result on <html data-motion="full|reduce">
+// so CSS can react. Loaded without defer in <head>, like theme.js.
+
+const MOTION_KEY = 'chanfm-motion';
+const MOTION_PROBE_KEY = 'chanfm-motion-probe';
+const MOTION_PREFERENCES = ['auto', 'reduce', 'full'];
+// A median frame slower than this (under ~24 fps) means animations are hurting
+const MOTION_FRAME_BUDGET_MS = 1000 / 24;
+
+const motionPolicy = {
+    reduced: null, // set by updateMotionPolicy() below
+    slowFrames: readMotionProbe() === 'slow',
+    osQuery: window.matchMedia('(prefers-reduced-motion: reduce)'),
+    listeners: []
+};
+
+function readMotionProbe() {
+    try {
+        return sessionStorage.getItem(MOTION_PROBE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function storedMotionPreference() {
+    try {
+        const preference = localStorage.getItem(MOTION_KEY);
+        return MOTION_PREFERENCES.includes(preference) ? preference : 'auto';
+    } catch (error) {
+        return 'auto';
+    }
+}
+
+function motionReduced() {
+    return motionPolicy.reduced;
+}
+
+// Subscribe to changes; the listener gets the new reduced flag
+function onMotionChange(listener) {
+    motionPolicy.listeners.push(listener);
+}
+
+function updateMotionPolicy() {
+    const preference = storedMotionPreference();
+    const reduced = preference === 'reduce' ||
+        (preference === 'auto' && (motionPolicy.osQuery.matches || motionPolicy.slowFrames));
+
+    document.documentElement.setAttribute('data-motion', reduced ? 'reduce' : 'full');
+    if (reduced === motionPolicy.reduced) return;
+
+    motionPolicy.reduced = reduced;
+    motionPolicy.listeners.forEach(listener => listener(reduced));
+}
+
+function setMotionPreference(preference) {
+    try {
+        if (preference === 'auto') {
+            localStorage.removeItem(MOTION_KEY);
+        } else {
+            localStorage.setItem(MOTION_KEY, preference);
+        }
+    } catch (error) {
+        // Not persisted, but still applied for this page
+    }
+    updateMotionPolicy();
+}
+
+// Sample frame times once per session; a device that can't keep up gets reduced motion
+function probeFrameBudget(frames = 40) {
+    if (readMotionProbe() || document.visibilityState === 'hidden') return;
+
+    const deltas = [];
+    let last = null;
+    const step = time => {
+        if (last !== null) deltas.push(time - last);
+        last = time;
+        if (deltas.length < frames) {
+            requestAnimationFrame(step);
+            return;
+        }
+
+        deltas.sort((a, b) => a - b);
+        const slow = deltas[Math.floor(deltas.length / 2)] > MOTION_FRAME_BUDGET_MS;
+        try {
+            sessionStorage.setItem(MOTION_PROBE_KEY, slow ? 'slow' : 'ok');
+        } catch (error) {
+            // Probe again next page
+        }
+        if (slow !== motionPolicy.slowFrames) {
+            motionPolicy.slowFrames = slow;
+            updateMotionPolicy();
+        }
+    };
+    requestAnimationFrame(step);
+}
+
+motionPolicy.osQuery.addEventListener?.('change', updateMotionPolicy);
+updateMotionPolicy();
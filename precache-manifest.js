@@ -0,0 +1,37 @@
+// Generated by scripts/build-precache.js - do not edit
+const PRECACHE_REVISION = '4e2cea11563e';
+const PRECACHE_MANIFEST = [
+    { url: '/', revision: '33a1be1468a6' },
+    { url: '/404.html', revision: 'dc636d292322' },
+    { url: '/analytics-queue.js', revision: 'aba0d6567c82' },
+    { url: '/api-reference.html', revision: '6997cc13ee05' },
+    { url: '/changelog.html', revision: 'ee7cad97fd36' },
+    { url: '/channel-math.js', revision: '2949e031f002' },
+    { url: '/data-format.html', revision: '2e182964c5bf' },
+    { url: '/examples.html', revision: 'f13907f12196' },
+    { url: '/getting-started.html', revision: '9650805cc7a5' },
+    { url: '/i18n.js', revision: 'd933be2bc0a1' },
+    { url: '/i18n/ja.json', revision: 'bf7b92d70a20' },
+    { url: '/i18n/ko.json', revision: '6f7f60bdeeea' },
+    { url: '/i18n/zh.json', revision: '3240b74bb3f1' },
+    { url: '/index.html', revision: '33a1be1468a6' },
+    { url: '/leaderboard.json', revision: '1d27e5e16135' },
+    { url: '/model-zoo.html', revision: '0eda6d97547a' },
+    { url: '/models.json', revision: 'f756506b99fa' },
+    { url: '/motion.js', revision: '99299968dea2' },
+    { url: '/offline.html', revision: '3f17e61ca813' },
+    { url: '/propagation.js', revision: 'aad7109b8312' },
+    { url: '/releases.json', revision: '6f29e8277c55' },
+    { url: '/scenario.html', revision: 'e8d93c2c5fa5' },
+    { url: '/scenario.js', revision: '1f506b8f62bc' },
+    { url: '/schema.js', revision: '25cb959f8bb4' },
+    { url: '/scorer-worker.js', revision: '1a6791233e49' },
+    { url: '/scorer.html', revision: '22e87125fa7d' },
+    { url: '/scorer.js', revision: 'd8a74be71106' },
+    { url: '/script.js', revision: '6c75751e07b6' },
+    { url: '/search-index.json', revision: '14eac1a83787' },
+    { url: '/styles.css', revision: '14da02de99d6' },
+    { url: '/theme.js', revision: '3ec9630ce620' },
+    { url: '/versions.json', revision: 'c32abd7b1121' },
+    { url: '/visualizer.html', revision: 'b6152571909d' }
+];
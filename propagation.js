@@ -0,0 +1,168 @@
+// Reference propagation models
+// Free-space loss and the 3GPP TR 38.901 (Table 7.4.1-1) path loss models used
+// as physics baselines for ChanFM predictions. Distances in m, frequencies in Hz.
+
+const SPEED_OF_LIGHT = 299792458;
+
+// ChanFM environments mapped to 38.901 scenarios
+const PROPAGATION_SCENARIOS = {
+    Indoor: { model: 'InH-Office', range2D: [1, 150], heightBS: [3, 3], heightUT: [1, 2.5] },
+    UMi: { model: 'UMi-Street Canyon', range2D: [10, 5000], heightBS: [10, 10], heightUT: [1.5, 22.5] },
+    UMa: { model: 'UMa', range2D: [10, 5000], heightBS: [25, 25], heightUT: [1.5, 22.5] },
+    RMa: { model: 'RMa', range2D: [10, 10000], heightBS: [10, 150], heightUT: [1, 10] }
+};
+
+// RMa defaults: average building height and street width
+const RMA_BUILDING_HEIGHT = 5;
+const RMA_STREET_WIDTH = 20;
+
+function linkGeometry(txPos, rxPos) {
+    const dx = rxPos[0] - txPos[0];
+    const dy = rxPos[1] - txPos[1];
+    const dz = rxPos[2] - txPos[2];
+
+    return {
+        d2D: Math.hypot(dx, dy),
+        d3D: Math.hypot(dx, dy, dz),
+        heightBS: txPos[2],
+        heightUT: rxPos[2]
+    };
+}
+
+function freeSpacePathLoss(d3D, frequencyHz) {
+    return 20 * Math.log10(4 * Math.PI * d3D * frequencyHz / SPEED_OF_LIGHT);
+}
+
+// Path loss for one link; returns LOS/NLOS loss in dB with shadow fading std and validity warnings
+function pathLoss38901(env, geometry, frequencyHz) {
+    const scenario = PROPAGATION_SCENARIOS[env];
+    if (!scenario) {
+        return null;
+    }
+
+    const fc = frequencyHz / 1e9;
+    const { d2D, d3D, heightBS, heightUT } = geometry;
+    const warnings = [];
+
+    if (fc < 0.5 || fc > 100) {
+        warnings.push(`38.901 models are specified for 0.5-100 GHz (got ${+fc.toFixed(3)} GHz)`);
+    } else if (env === 'RMa' && fc > 30) {
+        warnings.push('RMa is only validated up to 30 GHz');
+    }
+    if (d2D < scenario.range2D[0] || d2D > scenario.range2D[1]) {
+        warnings.push(`${scenario.model} is specified for ${scenario.range2D[0]} m <= d2D <= ${scenario.range2D[1]} m`);
+    }
+    if (heightBS < scenario.heightBS[0] || heightBS > scenario.heightBS[1]) {
+        warnings.push(`${scenario.model} assumes a TX height of ${formatRange(scenario.heightBS)} m`);
+    }
+    if (heightUT < scenario.heightUT[0] || heightUT > scenario.heightUT[1]) {
+        warnings.push(`${scenario.model} assumes an RX height of ${formatRange(scenario.heightUT)} m`);
+    }
+
+    // Keep the log terms finite for degenerate links
+    const d3 = Math.max(d3D, 1);
+    let result;
+
+    switch (env) {
+        case 'Indoor': {
+            const los = 32.4 + 17.3 * Math.log10(d3) + 20 * Math.log10(fc);
+            const nlos = 38.3 * Math.log10(d3) + 17.3 + 24.9 * Math.log10(fc);
+            result = { los, nlos: Math.max(los, nlos), sigmaLos: 3, sigmaNlos: 8.03, breakpoint: null };
+            break;
+        }
+
+        case 'UMi': {
+            const breakpoint = effectiveBreakpoint(heightBS, heightUT, frequencyHz);
+            const los = d2D <= breakpoint
+                ? 32.4 + 21 * Math.log10(d3) + 20 * Math.log10(fc)
+                : 32.4 + 40 * Math.log10(d3) + 20 * Math.log10(fc) -
+                    9.5 * Math.log10(breakpoint ** 2 + (heightBS - heightUT) ** 2);
+            const nlos = 35.3 * Math.log10(d3) + 22.4 + 21.3 * Math.log10(fc) - 0.3 * (heightUT - 1.5);
+            result = { los, nlos: Math.max(los, nlos), sigmaLos: 4, sigmaNlos: 7.82, breakpoint };
+            break;
+        }
+
+        case 'UMa': {
+            const breakpoint = effectiveBreakpoint(heightBS, heightUT, frequencyHz);
+            const los = d2D <= breakpoint
+                ? 28 + 22 * Math.log10(d3) + 20 * Math.log10(fc)
+                : 28 + 40 * Math.log10(d3) + 20 * Math.log10(fc) -
+                    9 * Math.log10(breakpoint ** 2 + (heightBS - heightUT) ** 2);
+            const nlos = 13.54 + 39.08 * Math.log10(d3) + 20 * Math.log10(fc) - 0.6 * (heightUT - 1.5);
+            result = { los, nlos: Math.max(los, nlos), sigmaLos: 4, sigmaNlos: 6, breakpoint };
+            break;
+        }
+
+        case 'RMa': {
+            const h = RMA_BUILDING_HEIGHT;
+            const W = RMA_STREET_WIDTH;
+            const breakpoint = 2 * Math.PI * heightBS * heightUT * frequencyHz / SPEED_OF_LIGHT;
+            const pl1 = d => 20 * Math.log10(40 * Math.PI * d * fc / 3) +
+                Math.min(0.03 * h ** 1.72, 10) * Math.log10(d) -
+                Math.min(0.044 * h ** 1.72, 14.77) +
+                0.002 * Math.log10(h) * d;
+            const los = d2D <= breakpoint
+                ? pl1(d3)
+                : pl1(Math.hypot(breakpoint, heightBS - heightUT)) + 40 * Math.log10(d3 / breakpoint);
+            const nlos = 161.04 - 7.1 * Math.log10(W) + 7.5 * Math.log10(h) -
+                (24.37 - 3.7 * (h / heightBS) ** 2) * Math.log10(heightBS) +
+                (43.42 - 3.1 * Math.log10(heightBS)) * (Math.log10(d3) - 3) +
+                20 * Math.log10(fc) -
+                (3.2 * Math.log10(11.75 * heightUT) ** 2 - 4.97);
+            result = {
+                los,
+                nlos: Math.max(los, nlos),
+                sigmaLos: d2D <= breakpoint ? 4 : 6,
+                sigmaNlos: 8,
+                breakpoint
+            };
+            break;
+        }
+    }
+
+    return Object.assign(result, {
+        model: scenario.model,
+        losProbability: losProbability38901(env, d2D, heightUT),
+        warnings
+    });
+}
+
+// LOS probability from 38.901 Table 7.4.2-1
+function losProbability38901(env, d2D, heightUT) {
+    switch (env) {
+        case 'Indoor':
+            // InH - Mixed office
+            if (d2D <= 1.2) return 1;
+            if (d2D < 6.5) return Math.exp(-(d2D - 1.2) / 4.7);
+            return Math.exp(-(d2D - 6.5) / 32.6) * 0.32;
+
+        case 'UMi':
+            if (d2D <= 18) return 1;
+            return 18 / d2D + Math.exp(-d2D / 36) * (1 - 18 / d2D);
+
+        case 'UMa': {
+            if (d2D <= 18) return 1;
+            const heightFactor = heightUT <= 13 ? 0 : ((heightUT - 13) / 10) ** 1.5;
+            return (18 / d2D + Math.exp(-d2D / 63) * (1 - 18 / d2D)) *
+                (1 + heightFactor * 5 / 4 * (d2D / 100) ** 3 * Math.exp(-d2D / 150));
+        }
+
+        case 'RMa':
+            if (d2D <= 10) return 1;
+            return Math.exp(-(d2D - 10) / 1000);
+
+        default:
+            return null;
+    }
+}
+
+// Breakpoint distance d'BP with an effective environment height of 1 m
+function effectiveBreakpoint(heightBS, heightUT, frequencyHz) {
+    const effectiveHeight = 1;
+    return 4 * Math.max(heightBS - effectiveHeight, 0) * Math.max(heightUT - effectiveHeight, 0) *
+        frequencyHz / SPEED_OF_LIGHT;
+}
+
+function formatRange([min, max]) {
+    return min === max ? `${min}` : `${min}-${max}`;
+}
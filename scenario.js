@@ -0,0 +1,292 @@
+// Scenario builder: sweeps of rx positions, carriers and antenna counts turned into
+// ChanFM samples (getting-started.html#data-format) and a Python driver for api.predict.
+// Requires schema.js.
+
+// Keeps the download and the browser tab a reasonable size
+const SCENARIO_MAX_SAMPLES = 50000;
+
+// Typical carriers per band, in GHz; the band chips append these to the frequency list.
+// Band names follow frequencyBand() in channel-math.js, which the scorer reports by.
+const SCENARIO_BAND_CARRIERS_GHZ = {
+    'sub-6': [2.4, 3.5, 5.8],
+    mmWave: [28, 39, 60],
+    'sub-THz': [140, 220, 300]
+};
+
+// Starting points for common layouts; every field can be edited afterwards
+const SCENARIO_PRESETS = {
+    'umi-street': {
+        label: 'UMi street canyon',
+        env: 'UMi',
+        tx: { pos_m: [0, 0, 10], power_dBm: 30 },
+        layout: 'route',
+        route: { waypoints: [[10, 15], [150, 15], [150, 120]], spacing_m: 5, height_m: 1.5, velocity_mps: 1.4 },
+        frequencies_GHz: [3.5, 28],
+        antenna: { tx_M: [64], rx_N: [4], tx_array_geom: 'UPA', rx_array_geom: 'ULA' }
+    },
+    'indoor-floor': {
+        label: 'Indoor office floor',
+        env: 'Indoor',
+        tx: { pos_m: [0, 0, 3], power_dBm: 20 },
+        layout: 'grid',
+        grid: { x_m: [-20, 20], y_m: [-10, 10], spacing_m: 2, height_m: 1 },
+        frequencies_GHz: [5.8, 60],
+        antenna: { tx_M: [8], rx_N: [2], tx_array_geom: 'ULA', rx_array_geom: 'ULA' }
+    },
+    'uma-macro': {
+        label: 'UMa macro cell',
+        env: 'UMa',
+        tx: { pos_m: [0, 0, 25], power_dBm: 43 },
+        layout: 'grid',
+        grid: { x_m: [-500, 500], y_m: [-500, 500], spacing_m: 50, height_m: 1.5 },
+        frequencies_GHz: [3.5],
+        antenna: { tx_M: [32, 64], rx_N: [4], tx_array_geom: 'UPA', rx_array_geom: 'ULA' }
+    },
+    'v2x-highway': {
+        label: 'V2X highway pass',
+        env: 'V2X',
+        tx: { pos_m: [0, -10, 6], power_dBm: 23 },
+        layout: 'route',
+        route: { waypoints: [[-300, 0], [300, 0]], spacing_m: 10, height_m: 1.5, velocity_mps: 30 },
+        frequencies_GHz: [5.9, 28],
+        antenna: { tx_M: [4], rx_N: [4], tx_array_geom: 'ULA', rx_array_geom: 'ULA' }
+    }
+};
+
+// "3.5, 28" or "8 16 32"; throws on anything that is not a number
+function parseNumberList(text, label) {
+    const items = String(text).split(/[\s,;]+/).filter(Boolean);
+    if (items.length === 0) throw new Error(`${label}: enter at least one value`);
+
+    return items.map(item => {
+        const value = Number(item);
+        if (!Number.isFinite(value)) throw new Error(`${label}: "${item}" is not a number`);
+        return value;
+    });
+}
+
+// Inclusive sweep, rounded to MHz; log spacing suits multi-band ranges such as 1-300 GHz
+function frequencySweep(startGHz, stopGHz, points, scale) {
+    if (!(startGHz > 0) || !(stopGHz >= startGHz)) throw new Error('Sweep: start must be positive and not above stop');
+    if (!Number.isInteger(points) || points < 1) throw new Error('Sweep: points must be a whole number of at least 1');
+    if (points === 1) return [startGHz];
+
+    return Array.from({ length: points }, (_, i) => {
+        const t = i / (points - 1);
+        const value = scale === 'log'
+            ? startGHz * Math.pow(stopGHz / startGHz, t)
+            : startGHz + (stopGHz - startGHz) * t;
+        return roundTo(value, 3);
+    });
+}
+
+// Rows along y, x varying fastest
+function gridPoints({ x_m: [x0, x1], y_m: [y0, y1], spacing_m: spacing, height_m: height }) {
+    if (!(spacing > 0)) throw new Error('Grid: spacing must be positive');
+    if (x1 < x0 || y1 < y0) throw new Error('Grid: each range must run from low to high');
+
+    const points = [];
+    const nx = Math.floor((x1 - x0) / spacing + 1e-9) + 1;
+    const ny = Math.floor((y1 - y0) / spacing + 1e-9) + 1;
+    if (nx * ny > SCENARIO_MAX_SAMPLES) throw new Error(`Grid: ${nx} × ${ny} points is too many; use a coarser spacing`);
+
+    for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+            points.push([roundTo(x0 + i * spacing, 3), roundTo(y0 + j * spacing, 3), height]);
+        }
+    }
+    return points;
+}
+
+// Evenly spaced along the polyline, including both ends
+function routePoints({ waypoints, spacing_m: spacing, height_m: height }) {
+    if (!(spacing > 0)) throw new Error('Route: spacing must be positive');
+    if (waypoints.length < 2) throw new Error('Route: enter at least two waypoints');
+
+    let total = 0;
+    for (let k = 1; k < waypoints.length; k++) {
+        total += Math.hypot(waypoints[k][0] - waypoints[k - 1][0], waypoints[k][1] - waypoints[k - 1][1]);
+    }
+    if (total / spacing > SCENARIO_MAX_SAMPLES) throw new Error('Route: too many points; use a coarser spacing');
+
+    const points = [[...waypoints[0], height]];
+    let carried = 0; // distance walked since the last point
+
+    for (let k = 1; k < waypoints.length; k++) {
+        const [ax, ay] = waypoints[k - 1];
+        const [bx, by] = waypoints[k];
+        const length = Math.hypot(bx - ax, by - ay);
+
+        let s = spacing - carried;
+        while (s <= length + 1e-9) {
+            const t = s / length;
+            points.push([roundTo(ax + (bx - ax) * t, 3), roundTo(ay + (by - ay) * t, 3), height]);
+            s += spacing;
+        }
+        carried = length - (s - spacing);
+    }
+
+    const [lx, ly] = waypoints[waypoints.length - 1];
+    const last = points[points.length - 1];
+    if (Math.hypot(last[0] - lx, last[1] - ly) > 1e-6) points.push([lx, ly, height]);
+    return points;
+}
+
+// "x, y" per line
+function parseWaypoints(text) {
+    return String(text).split(/\r?\n/).filter(line => line.trim() !== '').map((line, i) => {
+        const values = line.split(/[\s,;]+/).filter(Boolean).map(Number);
+        if (values.length !== 2 || !values.every(Number.isFinite)) {
+            throw new Error(`Route: waypoint ${i + 1} must be "x, y" in metres`);
+        }
+        return values;
+    });
+}
+
+function scenarioRxPoints(config) {
+    return config.layout === 'grid' ? gridPoints(config.grid) : routePoints(config.route);
+}
+
+function scenarioSampleCount(config, rxCount) {
+    return rxCount * config.frequencies_GHz.length * config.antenna.tx_M.length * config.antenna.rx_N.length;
+}
+
+// One sample per rx point, carrier and antenna pair. Points on top of the tx are skipped.
+function buildScenarioSamples(config) {
+    const rxPoints = scenarioRxPoints(config)
+        .filter(point => !point.every((value, i) => value === config.tx.pos_m[i]));
+    const count = scenarioSampleCount(config, rxPoints.length);
+    if (count === 0) throw new Error('The layout has no receiver points');
+    if (count > SCENARIO_MAX_SAMPLES) {
+        throw new Error(`${count.toLocaleString('en-US')} samples is more than ${SCENARIO_MAX_SAMPLES.toLocaleString('en-US')}; ` +
+            'use a coarser spacing or fewer carriers');
+    }
+
+    const { tx_M: txCounts, rx_N: rxCounts } = config.antenna;
+    const samples = [];
+    config.frequencies_GHz.forEach(frequencyGHz => {
+        txCounts.forEach(txM => {
+            rxCounts.forEach(rxN => {
+                rxPoints.forEach((point, i) => {
+                    const sample = {
+                        scene_id: scenarioSceneId(config, frequencyGHz, txM, rxN, i),
+                        env: config.env,
+                        frequency_Hz: roundTo(frequencyGHz * 1e9, 0)
+                    };
+                    if (config.bandwidth_MHz) sample.bandwidth_Hz = roundTo(config.bandwidth_MHz * 1e6, 0);
+
+                    sample.tx = { pos_m: [...config.tx.pos_m], power_dBm: config.tx.power_dBm };
+                    sample.rx = { pos_m: point };
+                    if (config.layout === 'route' && config.route.velocity_mps) {
+                        sample.rx.velocity_mps = config.route.velocity_mps;
+                    }
+                    sample.antenna = {
+                        tx_M: txM,
+                        rx_N: rxN,
+                        tx_array_geom: config.antenna.tx_array_geom,
+                        rx_array_geom: config.antenna.rx_array_geom
+                    };
+                    samples.push(sample);
+                });
+            });
+        });
+    });
+    return samples;
+}
+
+// e.g. umi-street-28ghz-64x4-rx0042; antenna part only when counts are swept
+function scenarioSceneId(config, frequencyGHz, txM, rxN, index) {
+    const parts = [config.name, `${String(frequencyGHz).replace('.', 'p')}ghz`];
+    if (config.antenna.tx_M.length > 1 || config.antenna.rx_N.length > 1) parts.push(`${txM}x${rxN}`);
+    parts.push(`rx${String(index + 1).padStart(4, '0')}`);
+    return parts.join('-');
+}
+
+// First problem per distinct message, so one bad setting isn't reported thousands of times
+function validateScenarioSamples(samples) {
+    const problems = new Map();
+    samples.forEach(sample => {
+        validateSample(sample).forEach(issue => {
+            const key = `${issue.severity}:${issue.path}:${issue.message}`;
+            if (!problems.has(key)) problems.set(key, { ...issue, scene_id: sample.scene_id, count: 0 });
+            problems.get(key).count++;
+        });
+    });
+    return [...problems.values()];
+}
+
+// One line for the driver docstring and the page preview
+function describeScenario(config) {
+    const rx = config.layout === 'grid'
+        ? `${config.grid.spacing_m} m grid over x ${config.grid.x_m.join('..')} m, y ${config.grid.y_m.join('..')} m`
+        : `route through ${config.route.waypoints.length} waypoints every ${config.route.spacing_m} m`;
+    const antennas = `tx_M ${config.antenna.tx_M.join('/')} ${config.antenna.tx_array_geom}, ` +
+        `rx_N ${config.antenna.rx_N.join('/')} ${config.antenna.rx_array_geom}`;
+    return `${config.env}, tx at [${config.tx.pos_m.join(', ')}] m, rx on a ${rx}; ` +
+        `${config.frequencies_GHz.join(', ')} GHz; ${antennas}.`;
+}
+
+function samplesToJsonl(samples) {
+    return samples.map(sample => JSON.stringify(sample)).join('\n') + '\n';
+}
+
+// Runs every sample through api.predict and writes predictions the scorer and visualizer read
+function buildPythonDriver(config, samplesFile, tasks) {
+    const predictionsFile = samplesFile.replace(/\.jsonl$/, '') + '-predictions.jsonl';
+    return `"""Run ChanFM on the "${config.name}" scenario from the ChanFM scenario builder.
+
+${describeScenario(config)}
+
+Usage:
+    python ${config.name}-driver.py [${samplesFile}] [${predictionsFile}]
+
+Each output line is one api.predict result plus its scene_id, the format
+scorer.html and visualizer.html on the ChanFM website read.
+"""
+import json
+import sys
+
+from chanfm.inference import api
+
+SAMPLES = sys.argv[1] if len(sys.argv) > 1 else "${samplesFile}"
+OUTPUT = sys.argv[2] if len(sys.argv) > 2 else "${predictionsFile}"
+TASKS = ${JSON.stringify(tasks)}
+
+
+def to_json(value):
+    """NumPy arrays and complex numbers to lists and [re, im] pairs."""
+    if hasattr(value, "tolist"):
+        value = value.tolist()
+    if isinstance(value, complex):
+        return [value.real, value.imag]
+    if isinstance(value, dict):
+        return {key: to_json(item) for key, item in value.items()}
+    if isinstance(value, (list, tuple)):
+        return [to_json(item) for item in value]
+    return value
+
+
+def main():
+    with open(SAMPLES) as f:
+        samples = [json.loads(line) for line in f if line.strip()]
+
+    with open(OUTPUT, "w") as out:
+        for i, sample in enumerate(samples, 1):
+            result = to_json(api.predict(sample, task=TASKS))
+            result["scene_id"] = sample["scene_id"]
+            out.write(json.dumps(result) + "\\n")
+            if i % 100 == 0 or i == len(samples):
+                print(f"{i}/{len(samples)} samples", file=sys.stderr)
+
+    print(f"Wrote {OUTPUT}", file=sys.stderr)
+
+
+if __name__ == "__main__":
+    main()
+`;
+}
+
+function roundTo(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
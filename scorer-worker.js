@@ -0,0 +1,22 @@
+// Scores ChannelBench files off the main thread for scorer.html.
+// Message in: { truth: File, predictions: File }. Messages out: progress, result or error.
+importScripts('schema.js', 'channel-math.js', 'scorer.js');
+
+self.addEventListener('message', async event => {
+    const { truth, predictions } = event.data;
+
+    try {
+        self.postMessage({ type: 'progress', phase: 'Reading files', done: 0, total: 1 });
+        const [truthText, predictionText] = await Promise.all([truth.text(), predictions.text()]);
+
+        const truthFile = parseBenchFile(truthText, 'ground truth');
+        const predictionFile = parseBenchFile(predictionText, 'predictions');
+
+        const result = scoreSubmission(truthFile, predictionFile, (done, total) => {
+            self.postMessage({ type: 'progress', phase: 'Scoring', done, total });
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,201 @@
+// ChannelBench scoring, shared by scorer.html and scorer-worker.js.
+// Ground truth is a sample JSONL (getting-started.html#data-format); predictions are one
+// api.predict result per line plus its scene_id. Requires schema.js and channel-math.js.
+
+const BENCH_METRICS = ['path_loss_mae_dB', 'h_nmse_dB', 'capacity_error_pct', 'rms_delay_spread_error_ns'];
+// Capacity error is averaged over these operating points
+const BENCH_CAPACITY_SNRS_DB = [0, 10, 20];
+// Taps further below the strongest one are left out of the delay spread
+const BENCH_DELAY_THRESHOLD_DB = 30;
+
+// Parse one uploaded file; JSON or JSONL as accepted by the schema validator
+function parseBenchFile(text, label) {
+    const { samples, errors } = parseSampleText(text);
+    if (errors.length > 0) {
+        throw new Error(`${label}, line ${errors[0].line}: ${errors[0].message}`);
+    }
+    if (samples.length === 0) {
+        throw new Error(`The ${label} file is empty`);
+    }
+    return samples;
+}
+
+// Score parsed files; onProgress(done, total) is called every few hundred samples
+function scoreSubmission(truthSamples, predictionSamples, onProgress) {
+    const report = {
+        scored: 0,
+        invalidTruth: [],
+        missingPredictions: [],
+        unmatchedPredictions: [],
+        duplicatePredictions: [],
+        skipped: { h: 0, delaySpread: 0 },
+        groups: new Map()
+    };
+
+    const predictions = new Map();
+    predictionSamples.forEach(({ value, line }) => {
+        const id = isPlainObject(value) ? value.scene_id : undefined;
+        if (typeof id !== 'string') {
+            report.unmatchedPredictions.push(line ? `line ${line}` : 'entry without scene_id');
+        } else if (predictions.has(id)) {
+            report.duplicatePredictions.push(id);
+        } else {
+            predictions.set(id, value);
+        }
+    });
+
+    const matched = new Set();
+    const overall = createMetricTotals();
+
+    truthSamples.forEach(({ value: sample, line }, i) => {
+        if (onProgress && i % 200 === 0) onProgress(i, truthSamples.length);
+
+        const errors = validateSample(sample).filter(issue => issue.severity === 'error');
+        if (errors.length > 0 || !isPlainObject(sample.ground_truth)) {
+            report.invalidTruth.push({
+                id: isPlainObject(sample) && typeof sample.scene_id === 'string' ? sample.scene_id : `line ${line}`,
+                message: errors.length > 0 ? `${errors[0].path}: ${errors[0].message}` : 'ground_truth: Missing required key'
+            });
+            return;
+        }
+
+        const prediction = predictions.get(sample.scene_id);
+        if (!prediction) {
+            report.missingPredictions.push(sample.scene_id);
+            return;
+        }
+        matched.add(sample.scene_id);
+
+        const key = `${sample.env}\u0000${frequencyBand(sample.frequency_Hz)}`;
+        if (!report.groups.has(key)) {
+            report.groups.set(key, { env: sample.env, band: frequencyBand(sample.frequency_Hz), totals: createMetricTotals() });
+        }
+
+        const errorsForSample = scoreSample(sample, prediction, report.skipped);
+        addMetricErrors(report.groups.get(key).totals, errorsForSample);
+        addMetricErrors(overall, errorsForSample);
+        report.scored++;
+    });
+
+    predictions.forEach((_, id) => {
+        if (!matched.has(id)) report.unmatchedPredictions.push(id);
+    });
+    if (onProgress) onProgress(truthSamples.length, truthSamples.length);
+
+    return {
+        scored: report.scored,
+        invalidTruth: report.invalidTruth,
+        missingPredictions: report.missingPredictions,
+        unmatchedPredictions: report.unmatchedPredictions,
+        duplicatePredictions: report.duplicatePredictions,
+        skipped: report.skipped,
+        overall: { samples: overall.samples, metrics: finalizeMetrics(overall) },
+        groups: [...report.groups.values()]
+            .sort((a, b) => a.env.localeCompare(b.env) || a.band.localeCompare(b.band))
+            .map(group => ({ env: group.env, band: group.band, samples: group.totals.samples, metrics: finalizeMetrics(group.totals) }))
+    };
+}
+
+// Per-sample errors; a metric is left out when either side lacks what it needs
+function scoreSample(sample, prediction, skipped) {
+    const truth = sample.ground_truth;
+    const errors = {};
+
+    if (isFiniteNumber(truth.path_loss_dB) && isFiniteNumber(prediction.path_loss_dB)) {
+        errors.path_loss_mae_dB = Math.abs(prediction.path_loss_dB - truth.path_loss_dB);
+    }
+
+    const truthH = truth.H === undefined ? null : channelTensor(truth.H);
+    const predictedH = prediction.H === undefined ? null : channelTensor(prediction.H);
+    const comparable = truthH && predictedH && !truthH.error && !predictedH.error &&
+        truthH.subcarriers === predictedH.subcarriers && truthH.rows === predictedH.rows && truthH.cols === predictedH.cols &&
+        averagePower(truthH) > 0;
+
+    if (truthH && predictedH && !comparable) skipped.h++;
+
+    if (comparable) {
+        // Linear here; finalizeMetrics converts the mean to dB
+        errors.h_nmse_dB = normalizedSquareError(predictedH, truthH);
+
+        // Both channels are scaled by the truth's power, so a wrong gain still counts
+        const scale = 1 / Math.sqrt(averagePower(truthH));
+        const truthSingular = scaleChannel(truthH, scale).data.map(singularValues);
+        const predictedSingular = scaleChannel(predictedH, scale).data.map(singularValues);
+        errors.capacity_error_pct = 100 * BENCH_CAPACITY_SNRS_DB.reduce((sum, snrDb) => {
+            const snr = Math.pow(10, snrDb / 10);
+            const reference = shannonCapacity(truthSingular, snr, truthH.rows);
+            return sum + Math.abs(shannonCapacity(predictedSingular, snr, truthH.rows) - reference) / reference;
+        }, 0) / BENCH_CAPACITY_SNRS_DB.length;
+    }
+
+    const truthSpread = delaySpreadNs(truth.rms_delay_spread_ns, truthH, sample.bandwidth_Hz);
+    const predictedSpread = delaySpreadNs(prediction.rms_delay_spread_ns, predictedH, sample.bandwidth_Hz);
+    if (truthSpread !== null && predictedSpread !== null) {
+        errors.rms_delay_spread_error_ns = Math.abs(predictedSpread - truthSpread);
+    } else if (comparable) {
+        // Narrowband H or no bandwidth_Hz: there is no delay axis
+        skipped.delaySpread++;
+    }
+
+    return errors;
+}
+
+// A reported delay spread wins; otherwise it comes from the wideband H
+function delaySpreadNs(reported, tensor, bandwidthHz) {
+    if (isFiniteNumber(reported)) return reported;
+    if (!tensor || tensor.error || tensor.subcarriers < 2 || !isFiniteNumber(bandwidthHz) || bandwidthHz <= 0) return null;
+
+    const spread = rmsDelaySpread(powerDelayProfile(tensor), 1 / bandwidthHz, BENCH_DELAY_THRESHOLD_DB);
+    return spread ? spread.rms * 1e9 : null;
+}
+
+function createMetricTotals() {
+    const totals = { samples: 0 };
+    BENCH_METRICS.forEach(metric => {
+        totals[metric] = { sum: 0, count: 0 };
+    });
+    return totals;
+}
+
+function addMetricErrors(totals, errors) {
+    totals.samples++;
+    BENCH_METRICS.forEach(metric => {
+        if (errors[metric] === undefined) return;
+        totals[metric].sum += errors[metric];
+        totals[metric].count++;
+    });
+}
+
+// Means rounded like leaderboard.json; NMSE is averaged linearly, then reported in dB
+function finalizeMetrics(totals) {
+    const metrics = {};
+    BENCH_METRICS.forEach(metric => {
+        const { sum, count } = totals[metric];
+        if (count === 0) {
+            metrics[metric] = null;
+            return;
+        }
+        const mean = sum / count;
+        metrics[metric] = Math.round((metric === 'h_nmse_dB' ? toDecibels(mean) : mean) * 10) / 10;
+    });
+    return metrics;
+}
+
+// Leaderboard entries for one model, one per env and band (see leaderboard.json)
+function buildSubmissionSummary(result, model, benchmark) {
+    const details = {
+        model: model.name,
+        version: model.version || null,
+        model_url: model.url || null,
+        paper_url: model.paper || null
+    };
+
+    return {
+        benchmark: benchmark.benchmark,
+        split: benchmark.split,
+        generated: new Date().toISOString(),
+        samples: result.scored,
+        overall: result.overall.metrics,
+        entries: result.groups.map(group => ({ ...details, env: group.env, band: group.band, metrics: group.metrics }))
+    };
+}
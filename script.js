@@ -1,187 +1,3546 @@
+// Read by applyPinnedDocsVersion() on the critical path, so declared before it runs
+const DOCS_VERSION_KEY = 'chanfm-docs-version';
+
+// Set up by initializeI18n(), also on the critical path
+const i18nState = {
+    language: 'en',
+    bundle: null,
+    // Element -> its English text; code blocks also remember what we last showed
+    originals: new WeakMap()
+};
+
+// Setup functions by data-component name, run by initComponents() on the critical path.
+// A setup gets the element and may return a teardown function.
+const COMPONENTS = {
+    navbar: setupNavbar,
+    'code-demo': setupCodeDemo
+};
+// Element -> Map of its mounted component names to their teardowns
+const mountedComponents = new WeakMap();
+
+// For content added after load: ChanFM.init(container) wires its components, and
+// ChanFM.destroy(container) tears them down before it's removed
+window.ChanFM = {
+    init: initComponents,
+    destroy: destroyComponents,
+    register: registerComponent
+};
+
 // Performance optimized initialization
 (function() {
     'use strict';
 
-    // Critical path - execute immediately
-    initializeNavigation();
-    initializeMobileMenu();
+    // Critical path - execute immediately
+    applyPinnedDocsVersion();
+    initComponents(document);
+    assignDocHeadingIds();
+    initializeDocToc();
+    initializeUrlState();
+    initializeI18n();
+
+    // Non-critical - defer until page is loaded
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initializeNonCritical);
+    } else {
+        // DOM already loaded
+        initializeNonCritical();
+    }
+
+    function initializeNonCritical() {
+        scheduleIdle(function() {
+            initializeScrollEffects();
+            initializeSyntaxHighlighting();
+            initializeAnimations();
+            initializeSchemaValidator();
+            initializeChannelVisualizer();
+            initializeBenchScorer();
+            initializeScenarioBuilder();
+            initializeChannelCalculator();
+            initializeLeaderboard();
+            initializeModelRegistry();
+            initializeSearch();
+            initializeThemeToggle();
+            initializeMotionToggle();
+            initializeLanguageSwitcher();
+            initializeVersionSwitcher();
+            initializeReleaseNotes();
+            initializeOfflineSettings();
+            initializeConnectivity();
+            initializeOfflineFallback();
+            initializeServiceWorker();
+            initializeAnalytics();
+        });
+
+        // Defer heavy animations
+        setTimeout(function() {
+            scheduleIdle(initializeParallax);
+        }, 100);
+    }
+})();
+
+// Components: elements opt in with data-component="navbar" (several names may be
+// space-separated) and each gets its own instance, so a page sets up only what it has
+function initComponents(root = document) {
+    componentElements(root).forEach(element => {
+        const mounted = mountedComponents.get(element) || new Map();
+        mountedComponents.set(element, mounted);
+
+        element.getAttribute('data-component').split(/\s+/).filter(Boolean).forEach(name => {
+            if (mounted.has(name)) return;
+            if (!COMPONENTS[name]) {
+                console.warn(`Unknown component "${name}"`, element);
+                return;
+            }
+
+            // One broken component shouldn't stop the rest of the page
+            try {
+                mounted.set(name, COMPONENTS[name](element) || null);
+            } catch (error) {
+                console.error(`Component "${name}" failed to initialize`, error);
+            }
+        });
+    });
+}
+
+function destroyComponents(root = document) {
+    componentElements(root).forEach(element => {
+        const mounted = mountedComponents.get(element);
+        if (!mounted) return;
+
+        mounted.forEach(teardown => teardown?.());
+        mountedComponents.delete(element);
+    });
+}
+
+function registerComponent(name, setup) {
+    COMPONENTS[name] = setup;
+}
+
+function componentElements(root) {
+    const elements = [...root.querySelectorAll('[data-component]')];
+    if (root.matches?.('[data-component]')) elements.unshift(root);
+    return elements;
+}
+
+// Navbar: smooth scrolling for in-page links, scroll spy and the mobile menu
+function setupNavbar(navbar) {
+    const hamburger = navbar.querySelector('.hamburger');
+    const navMenu = navbar.querySelector('.nav-menu');
+    // Secondary pages have no hamburger menu
+    const hasMobileMenu = Boolean(hamburger && navMenu);
+
+    // Smooth scrolling for in-page navigation links; other links navigate normally
+    function onLinkClick(e) {
+        const targetId = e.target.closest('.nav-link')?.getAttribute('href');
+        if (!targetId?.startsWith('#')) return;
+
+        const targetElement = document.querySelector(targetId);
+        if (!targetElement) return;
+
+        e.preventDefault();
+        scrollToElement(targetElement, 'smooth');
+
+        // New history entry so back/forward walk through sections
+        history.pushState(null, '', buildStateUrl(targetId));
+
+        // Update active link
+        updateActiveNavLink(targetId.substring(1));
+        announceSection(targetElement);
+
+        // Close mobile menu if open
+        closeMobileMenu(navbar);
+    }
+
+    function onHamburgerClick() {
+        if (navMenu.classList.contains('active')) {
+            closeMobileMenu(navbar);
+            return;
+        }
+
+        hamburger.classList.add('active');
+        hamburger.setAttribute('aria-expanded', 'true');
+        navMenu.classList.add('active');
+        focusableElements(navMenu)[0]?.focus();
+    }
+
+    // Close menu when clicking outside
+    function onDocumentClick(e) {
+        if (!hamburger.contains(e.target) && !navMenu.contains(e.target)) {
+            closeMobileMenu(navbar);
+        }
+    }
+
+    // While the menu is open, Tab stays inside the navbar and Escape hands focus back
+    function onMenuKeydown(e) {
+        if (!navMenu.classList.contains('active')) return;
+
+        if (e.key === 'Escape') {
+            closeMobileMenu(navbar);
+            hamburger.focus();
+        } else {
+            trapFocus(navbar, e);
+        }
+    }
+
+    // Throttled scroll spy for navigation
+    let scrollTicking = false;
+    let activeSection = null;
+
+    function onScroll() {
+        if (!scrollTicking) {
+            requestAnimationFrame(handleScroll);
+            scrollTicking = true;
+        }
+    }
+
+    function handleScroll() {
+        scrollTicking = false;
+        const sections = document.querySelectorAll('section[id]');
+        const scrollPosition = window.scrollY + 100;
+
+        sections.forEach(section => {
+            const sectionTop = section.offsetTop;
+            const sectionHeight = section.offsetHeight;
+            const sectionId = section.getAttribute('id');
+
+            if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
+                updateActiveNavLink(sectionId);
+                if (sectionId !== activeSection) {
+                    activeSection = sectionId;
+                    syncSectionHash(section);
+                }
+            }
+        });
+
+        // Add scrolled class to navbar; sub-pages ship it already scrolled, without the id
+        if (navbar.id !== 'navbar') return;
+        if (window.scrollY > 50) {
+            navbar.classList.add('scrolled');
+        } else {
+            navbar.classList.remove('scrolled');
+        }
+    }
+
+    navbar.addEventListener('click', onLinkClick);
+    window.addEventListener('scroll', onScroll);
+    if (hasMobileMenu) {
+        hamburger.addEventListener('click', onHamburgerClick);
+        document.addEventListener('click', onDocumentClick);
+        document.addEventListener('keydown', onMenuKeydown);
+    }
+
+    return () => {
+        navbar.removeEventListener('click', onLinkClick);
+        window.removeEventListener('scroll', onScroll);
+        if (hasMobileMenu) {
+            hamburger.removeEventListener('click', onHamburgerClick);
+            document.removeEventListener('click', onDocumentClick);
+            document.removeEventListener('keydown', onMenuKeydown);
+            closeMobileMenu(navbar);
+        }
+    };
+}
+
+// URL state: the hash names a section or snippet, ?tab= lists the active tab of each group
+function initializeUrlState() {
+    // Also covers doc heading ids, which didn't exist when the browser first tried the hash
+    restoreUrlState('auto');
+    window.addEventListener('popstate', () => {
+        const target = restoreUrlState('smooth');
+        if (target) announceSection(target);
+    });
+}
+
+function restoreUrlState(behavior) {
+    const requested = new URLSearchParams(location.search).getAll('tab');
+
+    // Groups not in the URL fall back to their first tab
+    document.querySelectorAll('.code-tabs').forEach(group => {
+        const groupTabs = [...group.querySelectorAll('.code-tab')];
+        const tab = groupTabs.find(t => requested.includes(t.getAttribute('data-tab'))) || groupTabs[0];
+        if (tab && !tab.classList.contains('active')) selectCodeTab(tab);
+    });
+
+    if (!location.hash) return;
+    const target = document.getElementById(safeDecodeURIComponent(location.hash.substring(1)));
+    if (!target) return;
+
+    // A snippet id selects its tab and scrolls to the whole tab group
+    const groupTabs = [...(target.closest('.code-demo')?.querySelectorAll('.code-tab') || [])];
+    const tab = groupTabs.find(t => t.getAttribute('data-tab') === target.id);
+    if (tab) selectCodeTab(tab);
+
+    scrollToElement(target.closest('.code-demo') || target, behavior);
+    const section = target.closest('section[id]');
+    if (section) updateActiveNavLink(section.id);
+    return target;
+}
+
+// Hashes come from whoever wrote the link; a malformed escape such as "#%E0" is kept
+// as it is instead of throwing on the critical path
+function safeDecodeURIComponent(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+function buildStateUrl(hash) {
+    const url = new URL(location.href);
+    url.searchParams.delete('tab');
+
+    document.querySelectorAll('.code-tabs').forEach(group => {
+        const active = group.querySelector('.code-tab.active');
+        if (active && active !== group.querySelector('.code-tab')) {
+            url.searchParams.append('tab', active.getAttribute('data-tab'));
+        }
+    });
+
+    if (hash !== undefined) url.hash = hash;
+    return url.href;
+}
+
+// Scroll spy keeps the hash on the current section without adding history entries
+function syncSectionHash(section) {
+    const current = location.hash && document.getElementById(safeDecodeURIComponent(location.hash.substring(1)));
+    if (current && section.contains(current)) return;
+
+    history.replaceState(history.state, '', buildStateUrl(`#${section.id}`));
+}
+
+function scrollToElement(element, behavior) {
+    const top = element.getBoundingClientRect().top + window.scrollY - 70; // Account for navbar height
+    if (behavior === 'smooth' && isMotionReduced()) behavior = 'auto';
+
+    if (behavior === 'smooth' && !supportsFeature('smoothScroll')) {
+        animateScroll(top);
+        return;
+    }
+    window.scrollTo({ top, behavior });
+}
+
+// Smooth scroll polyfill for browsers without scroll-behavior
+function animateScroll(top) {
+    const start = window.pageYOffset;
+    const distance = top - start;
+    const duration = 800;
+    let startTime = null;
+
+    function ease(t, b, c, d) {
+        t /= d / 2;
+        if (t < 1) return c / 2 * t * t + b;
+        t--;
+        return -c / 2 * (t * (t - 2) - 1) + b;
+    }
+
+    function animation(currentTime) {
+        if (startTime === null) startTime = currentTime;
+        const timeElapsed = currentTime - startTime;
+        window.scrollTo(0, ease(Math.min(timeElapsed, duration), start, distance, duration));
+        if (timeElapsed < duration) requestAnimationFrame(animation);
+    }
+
+    requestAnimationFrame(animation);
+}
+
+// Stable heading ids on documentation pages (matches scripts/build-search-index.js)
+function assignDocHeadingIds() {
+    const content = document.querySelector('.docs-content');
+    if (!content) return;
+
+    const usedSlugs = new Map();
+    content.querySelectorAll('h2, h3').forEach(heading => {
+        // Card titles inside links are not sections
+        if (heading.closest('a')) return;
+
+        const slug = slugify(heading.textContent);
+        const count = usedSlugs.get(slug) || 0;
+        usedSlugs.set(slug, count + 1);
+
+        if (!heading.id) {
+            heading.id = count === 0 ? slug : `${slug}-${count + 1}`;
+        }
+    });
+}
+
+// Doc page table of contents, built from the ids above. Pages mark its place with an
+// empty .doc-toc in the sidebar; without one it goes at the top of .docs-sidebar.
+function initializeDocToc() {
+    const content = document.querySelector('.docs-content');
+    if (!content) return;
+
+    const headings = [...content.querySelectorAll('h2[id], h3[id]')].filter(heading => !heading.closest('a'));
+    if (headings.length === 0) return;
+
+    let toc = document.querySelector('.doc-toc');
+    const sidebar = document.querySelector('.docs-sidebar');
+    if (!toc && sidebar) {
+        toc = document.createElement('nav');
+        toc.className = 'sidebar-section doc-toc';
+        toc.setAttribute('aria-label', 'On this page');
+        toc.innerHTML = '<h3>On This Page</h3>';
+        sidebar.insertBefore(toc, sidebar.firstChild);
+    }
+
+    // Titles are read before the anchor icons go in
+    if (toc) toc.appendChild(buildDocTocList(headings));
+    headings.forEach(addHeadingAnchor);
+
+    const followLink = e => {
+        const link = e.target.closest('a[href^="#"]');
+        if (!link) return;
+
+        const target = document.getElementById(safeDecodeURIComponent(link.getAttribute('href').substring(1)));
+        if (!target) return;
+
+        e.preventDefault();
+        scrollToElement(target, 'smooth');
+        history.pushState(null, '', buildStateUrl(`#${target.id}`));
+        announceSection(target);
+        trackEvent('Docs', link.classList.contains('heading-anchor') ? 'anchor' : 'toc', target.id);
+    };
+    content.addEventListener('click', e => {
+        if (e.target.closest('.heading-anchor')) followLink(e);
+    });
+
+    if (!toc) return;
+    toc.addEventListener('click', followLink);
+    initializeDocScrollSpy(toc, headings);
+}
+
+// h2s at the top level, each h3 nested under the h2 before it
+function buildDocTocList(headings) {
+    const list = document.createElement('ul');
+    list.className = 'sidebar-nav toc-list';
+    let parent = null;
+    let sublist = null;
+
+    headings.forEach(heading => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${heading.id}`;
+        link.textContent = heading.textContent.trim();
+        // Translated along with the heading it points at
+        const label = heading.querySelector('[data-i18n]');
+        if (label) link.setAttribute('data-i18n', label.getAttribute('data-i18n'));
+        item.appendChild(link);
+
+        if (heading.tagName === 'H3' && parent) {
+            if (!sublist) {
+                sublist = document.createElement('ul');
+                parent.appendChild(sublist);
+            }
+            sublist.appendChild(item);
+            return;
+        }
+
+        list.appendChild(item);
+        parent = item;
+        sublist = null;
+    });
+
+    return list;
+}
+
+function addHeadingAnchor(heading) {
+    const anchor = document.createElement('a');
+    anchor.className = 'heading-anchor';
+    anchor.href = `#${heading.id}`;
+    anchor.setAttribute('aria-label', `Link to “${heading.textContent.trim()}”`);
+    anchor.innerHTML = '<i class="fas fa-link" aria-hidden="true"></i>';
+    heading.appendChild(anchor);
+}
+
+// Highlight the heading being read: the last one above the navbar line, or the
+// final one once the page can't scroll further
+function initializeDocScrollSpy(toc, headings) {
+    const links = new Map([...toc.querySelectorAll('a')].map(link => [link.getAttribute('href').substring(1), link]));
+    let activeHeading = null;
+    let ticking = false;
+
+    function handleDocScroll() {
+        ticking = false;
+        let current = null;
+        for (const heading of headings) {
+            if (heading.getBoundingClientRect().top > 100) break;
+            current = heading;
+        }
+        const pageHeight = document.documentElement.scrollHeight;
+        if (pageHeight > window.innerHeight && window.innerHeight + window.scrollY >= pageHeight - 2) {
+            current = headings[headings.length - 1];
+        }
+        if (current === activeHeading) return;
+
+        if (activeHeading) {
+            links.get(activeHeading.id).classList.remove('active');
+            links.get(activeHeading.id).removeAttribute('aria-current');
+        }
+        activeHeading = current;
+        if (!current) return;
+
+        links.get(current.id).classList.add('active');
+        links.get(current.id).setAttribute('aria-current', 'location');
+        syncHeadingHash(current, headings);
+    }
+
+    window.addEventListener('scroll', () => {
+        if (!ticking) {
+            requestAnimationFrame(handleDocScroll);
+            ticking = true;
+        }
+    });
+    handleDocScroll();
+}
+
+// Like syncSectionHash: a hash already pointing inside the current heading's part
+// of the page (a snippet, say) is kept
+function syncHeadingHash(heading, headings) {
+    const current = location.hash && document.getElementById(safeDecodeURIComponent(location.hash.substring(1)));
+    if (current) {
+        const owner = headings.filter(h => h === current ||
+            h.compareDocumentPosition(current) & Node.DOCUMENT_POSITION_FOLLOWING).pop();
+        if (owner === heading) return;
+    }
+
+    history.replaceState(history.state, '', buildStateUrl(`#${heading.id}`));
+}
+
+function updateActiveNavLink(activeId) {
+    const navLinks = document.querySelectorAll('.nav-link');
+    navLinks.forEach(link => {
+        link.classList.remove('active');
+        if (link.getAttribute('href') === `#${activeId}`) {
+            link.classList.add('active');
+        }
+    });
+}
+
+// Search and the navbar switchers close the menu of the page's navbar
+function closeMobileMenu(navbar = document.querySelector('.navbar')) {
+    const hamburger = navbar?.querySelector('.hamburger');
+    const navMenu = navbar?.querySelector('.nav-menu');
+
+    if (!hamburger || !navMenu) return;
+
+    hamburger.classList.remove('active');
+    hamburger.setAttribute('aria-expanded', 'false');
+    navMenu.classList.remove('active');
+}
+
+// Focus management shared by the mobile menu and the dialogs
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+    'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function focusableElements(container) {
+    return [...container.querySelectorAll(FOCUSABLE)]
+        .filter(element => !element.closest('[hidden]') && element.getClientRects().length > 0);
+}
+
+// Call from a keydown handler: Tab and Shift+Tab wrap around inside container
+function trapFocus(container, e) {
+    if (e.key !== 'Tab') return;
+
+    const focusable = focusableElements(container);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!container.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// Screen readers hear about changes that happen away from the focus through one
+// polite live region
+function announce(message) {
+    let region = document.getElementById('live-announcer');
+    if (!region) {
+        region = document.createElement('div');
+        region.id = 'live-announcer';
+        region.className = 'sr-only';
+        region.setAttribute('role', 'status');
+        document.body.appendChild(region);
+    }
+
+    // Clear first so the same message twice still counts as a change
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+}
+
+// Links and back/forward scroll to a section but leave focus behind, so name the
+// section. Plain scrolling (the scroll spy) stays quiet.
+function announceSection(target) {
+    const heading = target.matches('h1, h2, h3, h4')
+        ? target
+        : (target.closest('section, .doc-section') || target).querySelector('h1, h2, h3');
+    const title = heading?.textContent.replace(/\s+/g, ' ').trim();
+    if (title) announce(`${title} section`);
+}
+
+// Optimized scroll effects and animations
+function initializeScrollEffects() {
+    // Intersection Observer for fade-in animations
+    const observerOptions = {
+        threshold: 0.1,
+        rootMargin: '0px 0px -50px 0px'
+    };
+
+    const observer = new IntersectionObserver(function(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('animate-in');
+                // Stop observing once animated
+                observer.unobserve(entry.target);
+            }
+        });
+    }, observerOptions);
+
+    // Progressive element selection to reduce DOM queries
+    scheduleIdle(function() {
+        const animatedElements = document.querySelectorAll('.feature-card, .model-card, .benchmark-metric, .doc-card');
+        animatedElements.forEach(el => {
+            // Add fade-in class initially
+            el.classList.add('fade-in');
+            observer.observe(el);
+        });
+    });
+}
+
+// Code demo: a group of snippets with optional tabs, plus action toolbars and
+// highlighting. Lookups stay inside the group, so groups on one page are independent.
+function setupCodeDemo(demo) {
+    function activateTab(tab) {
+        selectCodeTab(tab);
+        trackEvent('Code', 'tab', tab.getAttribute('data-tab'));
+
+        // A hash naming a snippet of this group follows the switch
+        const hashTarget = location.hash ? document.getElementById(safeDecodeURIComponent(location.hash.substring(1))) : null;
+        const followHash = Boolean(hashTarget?.classList.contains('code-block')) && demo.contains(hashTarget);
+
+        // Tab switches update the link in place rather than adding history entries
+        history.replaceState(history.state, '', buildStateUrl(followHash ? `#${tab.getAttribute('data-tab')}` : undefined));
+    }
+
+    function onTabClick(e) {
+        const tab = e.target.closest('.code-tab');
+        if (tab) activateTab(tab);
+    }
+
+    // Arrow keys move between tabs and select them; Home and End jump to the ends
+    function onTabKeydown(e) {
+        const tab = e.target.closest('.code-tab');
+        if (!tab) return;
+
+        const tabs = [...demo.querySelectorAll('.code-tab')];
+        const index = tabs.indexOf(tab);
+        const next = {
+            ArrowLeft: tabs[(index - 1 + tabs.length) % tabs.length],
+            ArrowRight: tabs[(index + 1) % tabs.length],
+            Home: tabs[0],
+            End: tabs[tabs.length - 1]
+        }[e.key];
+        if (!next) return;
+
+        e.preventDefault();
+        next.focus();
+        activateTab(next);
+    }
+
+    markUpCodeTabs(demo);
+    const toolbars = [...demo.querySelectorAll('.code-block')].map(addCodeActions).filter(Boolean);
+    const stopHighlighting = highlightCodeBlocks(demo);
+    demo.addEventListener('click', onTabClick);
+    demo.addEventListener('keydown', onTabKeydown);
+
+    return () => {
+        demo.removeEventListener('click', onTabClick);
+        demo.removeEventListener('keydown', onTabKeydown);
+        toolbars.forEach(toolbar => toolbar.remove());
+        stopHighlighting();
+    };
+}
+
+// WAI-ARIA tabs: each tab is tied to its panel, and only the selected one is in the Tab order
+function markUpCodeTabs(demo) {
+    const tabList = demo.querySelector('.code-tabs');
+    if (!tabList) return;
+
+    const tabs = [...tabList.querySelectorAll('.code-tab')];
+    const blocks = [...demo.querySelectorAll('.code-block')];
+    tabList.setAttribute('role', 'tablist');
+    tabList.setAttribute('aria-label', 'Code examples');
+
+    tabs.forEach(tab => {
+        tab.setAttribute('role', 'tab');
+        const block = blocks.find(b => b.id === tab.getAttribute('data-tab'));
+        if (!block) return;
+
+        tab.id = tab.id || `${block.id}-tab`;
+        tab.setAttribute('aria-controls', block.id);
+        block.setAttribute('role', 'tabpanel');
+        block.setAttribute('aria-labelledby', tab.id);
+    });
+
+    const selected = tabs.find(tab => tab.classList.contains('active')) || tabs[0];
+    if (selected) selectCodeTab(selected);
+}
+
+function selectCodeTab(tab) {
+    const demo = tab.closest('.code-demo');
+    const groupTabs = (demo || document).querySelectorAll('.code-tab');
+    const groupBlocks = [...(demo || document).querySelectorAll('.code-block')];
+
+    // Remove active class from the tabs and blocks of this group
+    groupTabs.forEach(t => {
+        t.classList.remove('active');
+        t.setAttribute('aria-selected', 'false');
+        t.tabIndex = -1;
+    });
+    groupBlocks.forEach(block => block.classList.remove('active'));
+
+    // Add active class to the tab and corresponding block
+    tab.classList.add('active');
+    tab.setAttribute('aria-selected', 'true');
+    tab.tabIndex = 0;
+    const targetBlock = groupBlocks.find(block => block.id === tab.getAttribute('data-tab'));
+    if (targetBlock) {
+        targetBlock.classList.add('active');
+    }
+}
+
+// Code block actions: copy, download and export to a notebook
+const SHELL_COMMANDS = /^(pip|pip3|conda|git|cd|python|python3|export|mkdir|curl|wget|source|bash|sh|npm|npx)\b/;
+
+function addCodeActions(block) {
+    const code = block.querySelector('pre code');
+    if (!code || block.querySelector('.code-actions')) return null;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'code-actions';
+    toolbar.innerHTML =
+        '<button type="button" class="code-action" data-action="copy" aria-label="Copy to clipboard" title="Copy to clipboard"><i class="fas fa-copy"></i></button>' +
+        (block.id ? '<button type="button" class="code-action" data-action="link" aria-label="Copy link to this snippet" title="Copy link to this snippet"><i class="fas fa-link"></i></button>' : '') +
+        '<button type="button" class="code-action" data-action="download" aria-label="Download snippet" title="Download snippet"><i class="fas fa-download"></i></button>' +
+        '<button type="button" class="code-action" data-action="notebook" aria-label="Export all snippets on this page as a notebook" title="Export all snippets as .ipynb"><i class="fas fa-book"></i></button>';
+    block.insertBefore(toolbar, block.firstChild);
+
+    toolbar.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const snippet = readSnippet(block);
+        trackEvent('Code', button.getAttribute('data-action'), snippet.name);
+        switch (button.getAttribute('data-action')) {
+            case 'copy':
+                copyToClipboard(snippet.code)
+                    .then(() => showCodeActionFeedback(button, 'fa-check', 'Copied!'))
+                    .catch(() => showCodeActionFeedback(button, 'fa-times', 'Copy failed'));
+                break;
+
+            case 'link':
+                copyToClipboard(buildStateUrl(`#${block.id}`))
+                    .then(() => showCodeActionFeedback(button, 'fa-check', 'Link copied!'))
+                    .catch(() => showCodeActionFeedback(button, 'fa-times', 'Copy failed'));
+                break;
+
+            case 'download': {
+                const extension = { python: 'py', bash: 'sh', json: 'json' }[snippet.language];
+                downloadFile(`${snippet.name}.${extension}`, snippet.code + '\n', 'text/plain');
+                break;
+            }
+
+            case 'notebook':
+                downloadFile(`${slugify(document.title)}.ipynb`, JSON.stringify(buildNotebook(), null, 1), 'application/x-ipynb+json');
+                break;
+        }
+    });
+    return toolbar;
+}
+
+function readSnippet(block) {
+    const raw = block.querySelector('pre code').textContent;
+    const language = block.getAttribute('data-lang') || detectSnippetLanguage(raw);
+    const section = block.closest('.doc-section, section');
+    const heading = section?.querySelector('h2, h3');
+    const tab = block.id ? block.closest('.code-demo')?.querySelector(`.code-tab[data-tab="${block.id}"]`) : null;
+    const title = [heading?.textContent.trim(), tab?.textContent.trim()].filter(Boolean).join(' - ') || 'Snippet';
+
+    return {
+        title,
+        name: `chanfm-${slugify(block.id || heading?.textContent || 'snippet')}`,
+        language,
+        code: cleanSnippet(raw, language)
+    };
+}
+
+function detectSnippetLanguage(code) {
+    const trimmed = code.trim();
+    if (/^[{[]/.test(trimmed)) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (error) {
+            // Python dict literal or similar
+        }
+    }
+
+    const commands = trimmed.split('\n')
+        .map(line => line.trim().replace(/^\$\s+/, ''))
+        .filter(line => line && !line.startsWith('#'));
+    return commands.length > 0 && commands.every(line => SHELL_COMMANDS.test(line)) ? 'bash' : 'python';
+}
+
+// Strip "$ " and ">>> "/"... " prompts. "#" always starts a comment, never a root prompt.
+function cleanSnippet(code, language) {
+    let lines = code.replace(/\s+$/, '').split('\n');
+
+    if (language === 'python' && lines.some(line => /^>>> /.test(line))) {
+        // Doctest style: keep prompted lines only, dropping printed output
+        lines = lines
+            .filter(line => /^(>>>|\.\.\.)( |$)/.test(line))
+            .map(line => line.replace(/^(>>>|\.\.\.) ?/, ''));
+    } else if (language === 'bash') {
+        lines = lines.map(line => line.replace(/^\$ /, ''));
+    }
+
+    return lines.join('\n').replace(/^\n+/, '');
+}
+
+// Shell commands become IPython "!" / "%cd" lines; comments stay comments
+function toNotebookSource(snippet) {
+    if (snippet.language !== 'bash') return snippet.code;
+
+    return snippet.code.split('\n').map(line => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) return line;
+        if (/^cd\s/.test(trimmed)) return `%${trimmed}`;
+        return `!${trimmed}`;
+    }).join('\n');
+}
+
+function buildNotebook() {
+    const cells = [];
+    const toSource = text => text.split('\n').map((line, i, all) => i < all.length - 1 ? `${line}\n` : line);
+    let lastTitle = null;
+
+    document.querySelectorAll('.code-block').forEach((block, i) => {
+        if (!block.querySelector('pre code')) return;
+
+        const snippet = readSnippet(block);
+        if (snippet.language === 'json') return;
+
+        if (snippet.title !== lastTitle) {
+            cells.push({ cell_type: 'markdown', id: `md-${i}`, metadata: {}, source: toSource(`## ${snippet.title}`) });
+            lastTitle = snippet.title;
+        }
+        cells.push({
+            cell_type: 'code',
+            id: `code-${i}`,
+            metadata: {},
+            execution_count: null,
+            outputs: [],
+            source: toSource(toNotebookSource(snippet))
+        });
+    });
+
+    cells.unshift({
+        cell_type: 'markdown',
+        id: 'title',
+        metadata: {},
+        source: toSource(`# ${document.title}\n\nExported from ${location.href.split('#')[0]}`)
+    });
+
+    return {
+        cells,
+        metadata: {
+            kernelspec: { display_name: 'Python 3', language: 'python', name: 'python3' },
+            language_info: { name: 'python' }
+        },
+        nbformat: 4,
+        nbformat_minor: 5
+    };
+}
+
+function showCodeActionFeedback(button, icon, label) {
+    const original = button.innerHTML;
+    const originalLabel = button.getAttribute('aria-label');
+
+    button.innerHTML = `<i class="fas ${icon}"></i><span class="code-action-label">${label}</span>`;
+    button.setAttribute('aria-label', label);
+    button.classList.add('done');
+
+    clearTimeout(button.feedbackTimer);
+    button.feedbackTimer = setTimeout(() => {
+        button.innerHTML = original;
+        button.setAttribute('aria-label', originalLabel);
+        button.classList.remove('done');
+    }, 2000);
+}
+
+// Syntax highlighting for Python, bash and JSON snippets, run in idle time
+const HIGHLIGHT_RULES = {
+    python: [
+        ['comment', /#[^\n]*/y],
+        ['string', /[rRbBfF]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/y],
+        ['decorator', /@[\w.]+/y],
+        ['number', /\b\d+(?:\.\d*)?(?:[eE][+-]?\d+)?j?\b/y],
+        ['keyword', /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|False|finally|for|from|global|if|import|in|is|lambda|None|nonlocal|not|or|pass|raise|return|True|try|while|with|yield)\b/y],
+        ['builtin', /\b(?:print|len|range|dict|list|tuple|set|int|float|str|bool|open|enumerate|zip|isinstance|super|self)\b/y],
+        ['function', /\b[A-Za-z_]\w*(?=\()/y]
+    ],
+    bash: [
+        ['comment', /#[^\n]*/y],
+        ['string', /"(?:\\.|[^"\\])*"|'[^']*'/y],
+        ['variable', /\$(?:\{[^}]*\}|\w+)/y],
+        ['function', /[\w.-]+/y, { lineStart: true }],
+        ['attr', /--?[\w-]+/y, { afterSpace: true }]
+    ],
+    json: [
+        ['attr', /"(?:\\.|[^"\\])*"(?=\s*:)/y],
+        ['string', /"(?:\\.|[^"\\])*"/y],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y],
+        ['keyword', /\b(?:true|false|null)\b/y]
+    ]
+};
+
+function initializeSyntaxHighlighting() {
+    // Annotation callouts follow hover and keyboard focus
+    document.addEventListener('mouseover', e => showCodeAnnotation(e.target.closest?.('.code-annotation')));
+    document.addEventListener('focusin', e => showCodeAnnotation(e.target.closest?.('.code-annotation')));
+    document.addEventListener('mouseout', e => {
+        if (e.target.closest?.('.code-annotation') && e.target.closest('.code-annotation') !== document.activeElement) {
+            showCodeAnnotation(null);
+        }
+    });
+    document.addEventListener('focusout', e => {
+        if (e.target.closest?.('.code-annotation')) showCodeAnnotation(null);
+    });
+}
+
+// requestIdleCallback where the browser has it (Safari doesn't), else a short timeout
+// with a one-frame deadline
+function scheduleIdle(callback) {
+    if ('requestIdleCallback' in window) return requestIdleCallback(callback);
+    return setTimeout(() => {
+        const start = Date.now();
+        callback({ timeRemaining: () => Math.max(0, 16 - (Date.now() - start)) });
+    }, 1);
+}
+
+// Highlights the snippets under root in idle time; returns a function that stops early
+function highlightCodeBlocks(root) {
+    const queue = [...root.querySelectorAll('.code-block pre code')]
+        .filter(code => !code.hasAttribute('data-highlighted'));
+    if (queue.length === 0) return () => {};
+
+    // One block per slice keeps long pages responsive
+    function work(deadline) {
+        while (queue.length > 0 && deadline.timeRemaining() > 4) {
+            highlightCodeBlock(queue.shift());
+        }
+        if (queue.length > 0) {
+            scheduleIdle(work);
+        }
+    }
+
+    scheduleIdle(work);
+    return () => {
+        queue.length = 0;
+    };
+}
+
+function highlightCodeBlock(code) {
+    const block = code.closest('.code-block');
+    const text = code.textContent;
+    const language = block?.getAttribute('data-lang') || detectSnippetLanguage(text);
+    const tokens = tokenizeCode(text, HIGHLIGHT_RULES[language] || []);
+    const annotations = block ? findCodeAnnotations(block, text) : [];
+
+    // textContent stays identical, so copy/download/notebook keep working
+    code.innerHTML = renderHighlightedCode(text, tokens, annotations);
+    code.setAttribute('data-highlighted', language);
+}
+
+// Scan left to right, trying each sticky rule at the current position
+function tokenizeCode(text, rules) {
+    const tokens = [];
+    const word = /\w+|[\s\S]/y;
+    let plainStart = 0;
+    let pos = 0;
+
+    while (pos < text.length) {
+        let matched = null;
+        const lineStart = text.lastIndexOf('\n', pos - 1) + 1;
+
+        for (const [type, pattern, options = {}] of rules) {
+            if (options.lineStart && text.slice(lineStart, pos).trim() !== '') continue;
+            if (options.afterSpace && pos > 0 && !/\s/.test(text[pos - 1])) continue;
+
+            pattern.lastIndex = pos;
+            const match = pattern.exec(text);
+            if (match && match[0].length > 0) {
+                matched = { type, start: pos, end: pos + match[0].length };
+                break;
+            }
+        }
+
+        if (matched) {
+            if (plainStart < pos) tokens.push({ type: null, start: plainStart, end: pos });
+            tokens.push(matched);
+            pos = plainStart = matched.end;
+        } else {
+            // Skip a whole identifier so rules never match mid-word
+            word.lastIndex = pos;
+            pos += word.exec(text)[0].length;
+        }
+    }
+
+    if (plainStart < text.length) tokens.push({ type: null, start: plainStart, end: text.length });
+    return tokens;
+}
+
+// Annotations are authored as <dl class="code-annotations"> inside the block:
+// each <dt> is the exact code text to mark, the following <dd> its callout
+function findCodeAnnotations(block, text) {
+    const list = block.querySelector('.code-annotations');
+    if (!list) return [];
+
+    const annotations = [];
+    list.querySelectorAll('dt').forEach((term, i) => {
+        const note = term.nextElementSibling;
+        const start = text.indexOf(term.textContent);
+        if (start === -1 || !note || note.tagName !== 'DD') return;
+
+        const end = start + term.textContent.length;
+        if (annotations.some(a => start < a.end && end > a.start)) return;
+
+        if (!note.id) note.id = `${block.id || 'code'}-note-${i + 1}`;
+        annotations.push({ start, end, note });
+    });
+
+    return annotations;
+}
+
+// The <dd> itself is the callout, placed under the marked code
+function showCodeAnnotation(marker) {
+    document.querySelectorAll('.code-annotations dd.visible').forEach(note => {
+        if (!marker || note.id !== marker.getAttribute('aria-describedby')) note.classList.remove('visible');
+    });
+    if (!marker) return;
+
+    const note = document.getElementById(marker.getAttribute('aria-describedby'));
+    const block = marker.closest('.code-block');
+    if (!note || !block) return;
+
+    const blockRect = block.getBoundingClientRect();
+    const markerRect = marker.getBoundingClientRect();
+    const maxLeft = Math.max(0, block.clientWidth - note.offsetWidth - 16);
+    note.style.top = `${markerRect.bottom - blockRect.top + 6}px`;
+    note.style.left = `${Math.min(Math.max(markerRect.left - blockRect.left, 16), maxLeft)}px`;
+    note.classList.add('visible');
+}
+
+// Split tokens at annotation edges so both nest as valid HTML
+function renderHighlightedCode(text, tokens, annotations) {
+    const edges = new Set([0, text.length]);
+    tokens.forEach(token => edges.add(token.start).add(token.end));
+    annotations.forEach(a => edges.add(a.start).add(a.end));
+    const points = [...edges].sort((a, b) => a - b);
+
+    let html = '';
+    let tokenIndex = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        const start = points[i];
+        const end = points[i + 1];
+        const opening = annotations.find(a => a.start === start);
+        const closing = annotations.find(a => a.end === end);
+
+        while (tokens[tokenIndex] && tokens[tokenIndex].end <= start) tokenIndex++;
+        const type = tokens[tokenIndex]?.type;
+        const piece = escapeHtml(text.slice(start, end));
+
+        if (opening) {
+            html += `<span class="code-annotation" tabindex="0" aria-describedby="${opening.note.id}">`;
+        }
+        html += type ? `<span class="tok-${type}">${piece}</span>` : piece;
+        if (closing) html += '</span>';
+    }
+
+    return html;
+}
+
+// Reference channel calculator (index.html)
+function initializeChannelCalculator() {
+    const form = document.getElementById('calculator-form');
+    if (!form || typeof pathLoss38901 !== 'function') return;
+
+    const results = document.getElementById('calculator-results');
+    const sampleCode = document.getElementById('calculator-sample');
+    const update = debounce(() => renderChannelCalculator(form, results, sampleCode), 150);
+
+    form.addEventListener('input', update);
+    form.addEventListener('submit', e => e.preventDefault());
+    renderChannelCalculator(form, results, sampleCode);
+}
+
+function readCalculatorSample(form) {
+    const value = name => form.elements[name].value.trim();
+    const number = name => Number(value(name));
+
+    return {
+        env: value('env'),
+        frequency_Hz: Number(value('frequency_Hz')),
+        tx: { pos_m: [number('tx_x'), number('tx_y'), number('tx_z')], power_dBm: number('power_dBm') },
+        rx: { pos_m: [number('rx_x'), number('rx_y'), number('rx_z')] },
+        antenna: { tx_M: number('tx_M'), rx_N: number('rx_N') }
+    };
+}
+
+function renderChannelCalculator(form, results, sampleCode) {
+    const sample = readCalculatorSample(form);
+    const numbers = [sample.frequency_Hz, sample.tx.power_dBm, ...sample.tx.pos_m, ...sample.rx.pos_m];
+
+    if (numbers.some(n => !Number.isFinite(n)) || sample.frequency_Hz <= 0) {
+        results.innerHTML = '<p class="calculator-error">Enter a positive frequency_Hz (e.g. 28e9) and numeric positions.</p>';
+        return;
+    }
+    if (![sample.antenna.tx_M, sample.antenna.rx_N].every(n => Number.isInteger(n) && n > 0)) {
+        results.innerHTML = '<p class="calculator-error">tx_M and rx_N must be positive integers.</p>';
+        return;
+    }
+
+    const geometry = linkGeometry(sample.tx.pos_m, sample.rx.pos_m);
+    if (geometry.d3D === 0) {
+        results.innerHTML = '<p class="calculator-error">TX and RX are co-located; move them apart.</p>';
+        return;
+    }
+
+    const fspl = freeSpacePathLoss(geometry.d3D, sample.frequency_Hz);
+    const model = pathLoss38901(sample.env, geometry, sample.frequency_Hz);
+    const formatDb = dB => `${dB.toFixed(2)} dB`;
+    const rows = [
+        ['Distance (2D / 3D)', `${geometry.d2D.toFixed(1)} m / ${geometry.d3D.toFixed(1)} m`],
+        ['Free-space loss', formatDb(fspl)]
+    ];
+
+    if (model) {
+        rows.push(
+            [`${model.model} LOS`, `${formatDb(model.los)} <small>&sigma; ${model.sigmaLos} dB</small>`],
+            [`${model.model} NLOS`, `${formatDb(model.nlos)} <small>&sigma; ${model.sigmaNlos} dB</small>`],
+            ['LOS probability', `${(model.losProbability * 100).toFixed(1)}%`]
+        );
+        if (model.breakpoint !== null) {
+            rows.push(['Breakpoint distance', `${model.breakpoint.toFixed(1)} m`]);
+        }
+        rows.push(['RX power (LOS)', `${(sample.tx.power_dBm - model.los).toFixed(2)} dBm`]);
+    } else {
+        rows.push(['RX power (free space)', `${(sample.tx.power_dBm - fspl).toFixed(2)} dBm`]);
+    }
+
+    const warnings = model ? model.warnings : [`No 38.901 model for ${sample.env}; showing free-space loss only`];
+
+    results.innerHTML = '<table class="calculator-table"><tbody>' +
+        rows.map(([label, result]) => `<tr><th scope="row">${escapeHtml(label)}</th><td>${result}</td></tr>`).join('') +
+        '</tbody></table>' +
+        warnings.map(warning => `<p class="calculator-warning"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(warning)}</p>`).join('');
+
+    const baseline = model ? `3GPP TR 38.901 ${model.model} LOS baseline: ${model.los.toFixed(2)} dB`
+        : `Free-space baseline: ${fspl.toFixed(2)} dB`;
+    sampleCode.textContent = formatPythonSample(sample) +
+        '\n\nresult = api.predict(sample, task=["path_loss_dB", "H"])' +
+        `\n# ${baseline}`;
+    highlightCodeBlock(sampleCode);
+}
+
+// Render a sample as the Python dict used in the Usage example
+function formatPythonSample(sample) {
+    const number = n => {
+        if (Math.abs(n) >= 1e6) {
+            const exponent = Math.floor(Math.log10(Math.abs(n)) / 3) * 3;
+            return `${+(n / 10 ** exponent).toPrecision(6)}e${exponent}`;
+        }
+        return String(n);
+    };
+    const vector = v => `[${v.map(number).join(', ')}]`;
+
+    return [
+        'from chanfm.inference import api',
+        '',
+        'sample = {',
+        `    "env": "${sample.env}",`,
+        `    "frequency_Hz": ${number(sample.frequency_Hz)},`,
+        `    "tx": {"pos_m": ${vector(sample.tx.pos_m)}, "power_dBm": ${number(sample.tx.power_dBm)}},`,
+        `    "rx": {"pos_m": ${vector(sample.rx.pos_m)}},`,
+        `    "antenna": {"tx_M": ${sample.antenna.tx_M}, "rx_N": ${sample.antenna.rx_N}}`,
+        '}'
+    ].join('\n');
+}
+
+// Model registry - builds the #models grid and the comparison table from models.json
+const MODEL_STATUS_LABELS = {
+    'released': 'Released',
+    'coming-soon': 'Coming Soon',
+    'roadmap': 'Roadmap'
+};
+
+function initializeModelRegistry() {
+    const grid = document.getElementById('models-grid');
+    const tableBody = document.getElementById('models-table-body');
+    if (!grid && !tableBody) return;
+
+    fetchJSON('models.json')
+        .then(registry => {
+            if (grid) renderModelCards(grid, registry.models);
+            if (tableBody) renderModelTable(tableBody, registry.models);
+        })
+        .catch(error => {
+            console.warn('Model registry unavailable:', error);
+        });
+}
+
+// Released models show their version; everything else shows its status
+function modelBadge(model) {
+    const label = model.release ? model.release.version : MODEL_STATUS_LABELS[model.status] || model.status;
+    return `<span class="model-badge${model.release ? ' primary' : ''}">${escapeHtml(label)}</span>`;
+}
+
+function renderModelCards(grid, models) {
+    grid.innerHTML = models.map(model => {
+        const specs = [
+            ['Parameters', model.parameters],
+            ['Use Case', model.use_case],
+            ['Latency', model.latency],
+            ['Memory', model.memory],
+            ['Highlights', model.highlights]
+        ].filter(([, value]) => value);
+
+        const download = model.release
+            ? `<a href="${escapeHtml(model.release.url)}" class="model-link"><i class="fas fa-download"></i> Download Model</a>`
+            : '';
+
+        return `<div class="model-card${model.featured ? ' featured' : ''}" data-model="${escapeHtml(model.id)}">` +
+            `<div class="model-header"><h3>${escapeHtml(model.name)}</h3>${modelBadge(model)}</div>` +
+            '<div class="model-specs">' +
+            specs.map(([label, value]) =>
+                `<div class="spec"><span class="spec-label">${label}:</span><span class="spec-value">${escapeHtml(value)}</span></div>`
+            ).join('') +
+            '</div>' +
+            `<p class="model-description">${escapeHtml(model.description)}</p>` +
+            download +
+            '</div>';
+    }).join('');
+}
+
+function renderModelTable(tableBody, models) {
+    tableBody.innerHTML = models.map(model =>
+        `<tr><td><strong>${escapeHtml(model.id)}</strong> ${modelBadge(model)}</td>` +
+        `<td>${escapeHtml(model.parameters)}</td>` +
+        `<td>${escapeHtml(model.latency)}</td>` +
+        `<td>${escapeHtml(model.memory)}</td>` +
+        `<td>${escapeHtml(model.best_for)}</td></tr>`
+    ).join('');
+}
+
+// ChannelBench leaderboard (index.html)
+function initializeLeaderboard() {
+    const leaderboard = document.getElementById('leaderboard');
+    if (!leaderboard) return;
+
+    const envSelect = document.getElementById('leaderboard-env');
+    const bandSelect = document.getElementById('leaderboard-band');
+    const head = document.getElementById('leaderboard-head');
+    const body = document.getElementById('leaderboard-body');
+    const meta = document.getElementById('leaderboard-meta');
+
+    fetchJSON('leaderboard.json')
+        .then(data => {
+            const state = { metric: data.metrics[0].id, ascending: true };
+
+            fillFilterOptions(envSelect, data.entries.map(entry => entry.env));
+            fillFilterOptions(bandSelect, data.entries.map(entry => entry.band));
+
+            const render = () => renderLeaderboard(data, state, {
+                env: envSelect.value,
+                band: bandSelect.value
+            }, head, body);
+
+            envSelect.addEventListener('change', render);
+            bandSelect.addEventListener('change', render);
+
+            // Sort by clicking a metric header; clicking again reverses the order
+            head.addEventListener('click', function(e) {
+                const button = e.target.closest('[data-sort]');
+                if (!button) return;
+
+                const metric = button.getAttribute('data-sort');
+                state.ascending = metric === state.metric ? !state.ascending : true;
+                state.metric = metric;
+                render();
+            });
+
+            meta.textContent = `${data.benchmark} (${data.split} split) · results v${data.version}, updated ${data.updated}`;
+            render();
+        })
+        .catch(error => {
+            console.warn('Leaderboard unavailable:', error);
+            body.innerHTML = '<tr><td class="leaderboard-empty">Leaderboard results are unavailable right now.</td></tr>';
+        });
+}
+
+function fillFilterOptions(select, values) {
+    [...new Set(values)].sort().forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    });
+}
+
+function renderLeaderboard(data, state, filters, head, body) {
+    const columns = data.metrics.length + 5;
+    const rows = data.entries
+        .filter(entry => (!filters.env || entry.env === filters.env) && (!filters.band || entry.band === filters.band))
+        .sort((a, b) => {
+            const x = a.metrics[state.metric];
+            const y = b.metrics[state.metric];
+            // Missing results always sort last
+            if (x == null) return y == null ? 0 : 1;
+            if (y == null) return -1;
+            return state.ascending ? x - y : y - x;
+        });
+
+    head.innerHTML = '<tr><th scope="col">#</th><th scope="col">Model</th><th scope="col">Env</th><th scope="col">Band</th>' +
+        data.metrics.map(metric => {
+            const active = metric.id === state.metric;
+            const sort = active ? (state.ascending ? 'ascending' : 'descending') : 'none';
+            const icon = active ? (state.ascending ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort';
+            return `<th scope="col" aria-sort="${sort}"><button type="button" class="leaderboard-sort" data-sort="${escapeHtml(metric.id)}">` +
+                `${escapeHtml(metric.label)} <small>(${escapeHtml(metric.unit)})</small> <i class="fas ${icon}"></i></button></th>`;
+        }).join('') +
+        '<th scope="col">Paper</th></tr>';
+
+    if (rows.length === 0) {
+        body.innerHTML = `<tr><td class="leaderboard-empty" colspan="${columns}">No results for this environment and band yet.</td></tr>`;
+        return;
+    }
+
+    body.innerHTML = rows.map((entry, i) => {
+        const name = entry.model_url
+            ? `<a href="${escapeHtml(entry.model_url)}" target="_blank" rel="noopener">${escapeHtml(entry.model)}</a>`
+            : escapeHtml(entry.model);
+        const version = entry.version ? ` <small>${escapeHtml(entry.version)}</small>` : '';
+        const paper = entry.paper_url
+            ? `<a href="${escapeHtml(entry.paper_url)}" target="_blank" rel="noopener" aria-label="Paper for ${escapeHtml(entry.model)}"><i class="fas fa-file-alt"></i></a>`
+            : '&mdash;';
+
+        return `<tr><td>${i + 1}</td><td class="leaderboard-model">${name}${version}</td>` +
+            `<td>${escapeHtml(entry.env)}</td><td>${escapeHtml(entry.band)}</td>` +
+            data.metrics.map(metric => {
+                const value = entry.metrics[metric.id];
+                return `<td class="leaderboard-value">${value == null ? '&mdash;' : value}</td>`;
+            }).join('') +
+            `<td>${paper}</td></tr>`;
+    }).join('');
+}
+
+// Site search palette - opened with "/" or Ctrl+K
+const searchState = {
+    index: null,
+    results: [],
+    selected: 0,
+    returnFocus: null
+};
+
+function initializeSearch() {
+    const navMenu = document.querySelector('.nav-menu');
+    if (!navMenu || navMenu.querySelector('.nav-search')) return;
+
+    const item = document.createElement('li');
+    item.className = 'nav-item';
+    item.innerHTML = '<button type="button" class="nav-search" aria-label="Search documentation" aria-keyshortcuts="/ Control+K">' +
+        '<i class="fas fa-search"></i><kbd>/</kbd></button>';
+    item.querySelector('button').addEventListener('click', openSearchPalette);
+
+    const githubItem = navMenu.querySelector('.github-link')?.closest('.nav-item');
+    navMenu.insertBefore(item, githubItem || null);
+}
+
+function ensureSearchPalette() {
+    let palette = document.getElementById('search-palette');
+    if (palette) return palette;
+
+    palette = document.createElement('div');
+    palette.className = 'search-palette';
+    palette.id = 'search-palette';
+    palette.hidden = true;
+    palette.innerHTML =
+        '<div class="search-dialog" role="dialog" aria-modal="true" aria-label="Search documentation">' +
+            '<div class="search-input-row">' +
+                '<i class="fas fa-search"></i>' +
+                '<input type="search" id="search-input" placeholder="Search the docs..." autocomplete="off" spellcheck="false" ' +
+                    'role="combobox" aria-expanded="true" aria-controls="search-results" aria-autocomplete="list">' +
+                '<kbd>Esc</kbd>' +
+            '</div>' +
+            '<ul class="search-results" id="search-results" role="listbox"></ul>' +
+        '</div>';
+    document.body.appendChild(palette);
+
+    const input = palette.querySelector('#search-input');
+    const update = debounce(() => runSearch(input.value), 80);
+
+    input.addEventListener('input', update);
+    input.addEventListener('keydown', function(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            selectSearchResult(searchState.selected + step);
+        } else if (e.key === 'Enter') {
+            const result = searchState.results[searchState.selected];
+            if (result) {
+                e.preventDefault();
+                goToSearchResult(siteUrl(result.url));
+            }
+        }
+    });
+
+    palette.addEventListener('keydown', e => trapFocus(palette.querySelector('.search-dialog'), e));
+
+    // Close when clicking the backdrop or following a result
+    palette.addEventListener('click', function(e) {
+        if (e.target === palette) {
+            closeSearchPalette();
+            return;
+        }
+        const link = e.target.closest('a');
+        if (link) {
+            e.preventDefault();
+            goToSearchResult(link.getAttribute('href'));
+        }
+    });
+
+    return palette;
+}
+
+function openSearchPalette() {
+    const palette = ensureSearchPalette();
+    if (!palette.hidden) return;
+
+    searchState.returnFocus = document.activeElement;
+    palette.hidden = false;
+    document.body.classList.add('search-open');
+    closeMobileMenu();
+
+    const input = palette.querySelector('#search-input');
+    input.focus();
+    input.select();
+
+    if (!searchState.index) {
+        fetchJSON(siteUrl('search-index.json'))
+            .then(index => {
+                searchState.index = index;
+                runSearch(input.value);
+            })
+            .catch(error => {
+                console.warn('Search index unavailable:', error);
+                palette.querySelector('#search-results').innerHTML =
+                    '<li class="search-empty">Search is unavailable right now.</li>';
+            });
+    } else {
+        runSearch(input.value);
+    }
+}
+
+function closeSearchPalette() {
+    const palette = document.getElementById('search-palette');
+    if (!palette || palette.hidden) return;
+
+    palette.hidden = true;
+    document.body.classList.remove('search-open');
+    if (searchState.returnFocus && searchState.returnFocus.focus) {
+        searchState.returnFocus.focus();
+    }
+}
+
+function runSearch(query) {
+    const list = document.getElementById('search-results');
+    if (!list || !searchState.index) return;
+
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    searchState.results = terms.length > 0 ? searchEntries(searchState.index.entries, terms) : [];
+    searchState.selected = 0;
+
+    if (terms.length === 0) {
+        list.innerHTML = '<li class="search-empty">Type to search installation, models, data format and more.</li>';
+        return;
+    }
+    if (searchState.results.length === 0) {
+        list.innerHTML = `<li class="search-empty">No results for &ldquo;${escapeHtml(query)}&rdquo;</li>`;
+        return;
+    }
+
+    list.innerHTML = searchState.results.map((result, i) =>
+        `<li role="option" id="search-result-${i}" aria-selected="${i === 0}">` +
+            `<a href="${escapeHtml(siteUrl(result.url))}">` +
+                `<span class="search-result-title">${highlightTerms(result.title, terms)}</span>` +
+                `<span class="search-result-page">${escapeHtml(result.page)}</span>` +
+                `<span class="search-result-snippet">${highlightTerms(searchSnippet(result.text, terms), terms)}</span>` +
+            '</a>' +
+        '</li>'
+    ).join('');
+    document.getElementById('search-input').setAttribute('aria-activedescendant', 'search-result-0');
+}
+
+// Every term must match; title hits rank above body hits
+function searchEntries(entries, terms) {
+    return entries
+        .map(entry => {
+            const title = entry.title.toLowerCase();
+            const text = entry.text.toLowerCase();
+            let score = 0;
+
+            for (const term of terms) {
+                const inTitle = title.includes(term);
+                const inText = text.includes(term);
+                if (!inTitle && !inText) return null;
+                score += (inTitle ? 10 : 0) + (inText ? 1 : 0);
+            }
+
+            return { entry, score };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 20)
+        .map(match => match.entry);
+}
+
+function searchSnippet(text, terms, length = 160) {
+    const lower = text.toLowerCase();
+    const hits = terms.map(term => lower.indexOf(term)).filter(i => i !== -1);
+    const first = hits.length > 0 ? Math.min(...hits) : 0;
+    const start = Math.max(0, first - 60);
+    const end = Math.min(text.length, start + length);
+
+    return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+function highlightTerms(text, terms) {
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text.split(pattern)
+        .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+function selectSearchResult(index) {
+    const items = document.querySelectorAll('#search-results [role="option"]');
+    if (items.length === 0) return;
+
+    searchState.selected = (index + items.length) % items.length;
+    items.forEach((item, i) => item.setAttribute('aria-selected', String(i === searchState.selected)));
+    items[searchState.selected].scrollIntoView({ block: 'nearest' });
+    document.getElementById('search-input').setAttribute('aria-activedescendant', items[searchState.selected].id);
+}
+
+function goToSearchResult(url) {
+    const target = new URL(url, location.href);
+    searchState.returnFocus = null;
+    closeSearchPalette();
+
+    // Same page - just move to the section
+    if (target.pathname === location.pathname && target.hash) {
+        const element = document.getElementById(safeDecodeURIComponent(target.hash.substring(1)));
+        if (element) {
+            location.hash = target.hash;
+            return;
+        }
+    }
+    location.href = target.href;
+}
+
+// Documentation versions - archived releases live under docs/v<version>/
+// Archived pages carry <meta name="docs-version"> and <meta name="docs-root">
+function currentDocsVersion() {
+    return document.querySelector('meta[name="docs-version"]')?.content || 'latest';
+}
+
+function siteUrl(path) {
+    return (document.querySelector('meta[name="docs-root"]')?.content || '') + path;
+}
+
+function currentPageFile() {
+    return location.pathname.split('/').pop() || 'index.html';
+}
+
+function readPinnedDocsVersion() {
+    try {
+        return JSON.parse(localStorage.getItem(DOCS_VERSION_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Runs before first paint: latest doc pages forward to the pinned release.
+// Explicitly versioned URLs are never redirected, so shared links stay put.
+function applyPinnedDocsVersion() {
+    const pinned = readPinnedDocsVersion();
+    if (!pinned || pinned.version === 'latest' || currentDocsVersion() !== 'latest') return;
+    if (!document.querySelector('.docs-content')) return;
+
+    const page = currentPageFile();
+    if (pinned.files?.includes(page)) {
+        location.replace(siteUrl(pinned.path + page) + location.search + location.hash);
+    }
+}
+
+function initializeVersionSwitcher() {
+    const navMenu = document.querySelector('.nav-menu');
+    if (!navMenu || navMenu.querySelector('.nav-version')) return;
+
+    fetchJSON(siteUrl('versions.json'))
+        .then(data => {
+            const current = currentDocsVersion();
+            const item = document.createElement('li');
+            item.className = 'nav-item';
+            item.innerHTML = '<select class="nav-version" aria-label="Documentation version">' +
+                data.versions.map(entry =>
+                    `<option value="${escapeHtml(entry.version)}"${entry.version === current ? ' selected' : ''}>` +
+                        `${escapeHtml(entry.label)}</option>`
+                ).join('') +
+                '</select>';
+
+            const select = item.querySelector('select');
+            select.addEventListener('change', () => {
+                const entry = data.versions.find(v => v.version === select.value);
+                switchDocsVersion(entry);
+            });
+
+            const githubItem = navMenu.querySelector('.github-link')?.closest('.nav-item');
+            navMenu.insertBefore(item, githubItem || null);
+
+            renderVersionInfo(data, current);
+            markOfflineVersions(select, data);
+        })
+        .catch(error => {
+            console.warn('Docs versions unavailable:', error);
+        });
+}
+
+function switchDocsVersion(entry) {
+    if (!entry) return;
+
+    try {
+        localStorage.setItem(DOCS_VERSION_KEY, JSON.stringify({
+            version: entry.version,
+            path: entry.path,
+            files: entry.files
+        }));
+    } catch (error) {
+        // Not pinned for later visits, but still switches now
+    }
+
+    // Stay on the same page when that version has it, else open its first page
+    const page = currentPageFile();
+    const target = entry.files.includes(page) ? page : entry.files[0];
+    location.href = siteUrl(entry.path + target) + location.search + location.hash;
+}
+
+function renderVersionInfo(data, current) {
+    const info = document.getElementById('version-info');
+    const entry = data.versions.find(v => v.version === current);
+    const release = current === 'latest'
+        ? data.versions.find(v => v.version === data.latest)
+        : entry;
+    if (!info || !release) return;
+
+    const heading = current === 'latest' ? 'Latest Version' : 'Viewing Docs For';
+    info.innerHTML = `<strong>${heading}</strong><br>` +
+        `<span class="version-badge">${escapeHtml(release.label)}</span>` +
+        (release.released ? `<br><small>Released: ${escapeHtml(release.released)}</small>` : '');
+
+    if (current !== 'latest') {
+        const latest = data.versions.find(v => v.version === 'latest');
+        const link = document.createElement('a');
+        link.href = siteUrl(currentPageFile());
+        link.className = 'version-latest-link';
+        link.textContent = 'Go to latest docs';
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            switchDocsVersion(latest);
+        });
+        info.appendChild(link);
+    }
+}
+
+// Versions the service worker has precached are readable offline
+function markOfflineVersions(select, data) {
+    if (!('caches' in window)) return;
+
+    data.versions.forEach(entry => {
+        if (entry.version === 'latest') return;
+        caches.has(`chanfm-docs-${entry.version}`).then(cached => {
+            const option = [...select.options].find(o => o.value === entry.version);
+            if (cached && option) option.textContent = `${entry.label} (offline)`;
+        });
+    });
+}
+
+// Release notes - changelog.html and the "what's new" banner, both from releases.json
+// (newest first). scripts/build-changelog.js builds feed.xml from the same file.
+const RELEASE_SEEN_KEY = 'chanfm-release-seen';
+const RELEASE_CHANGE_HEADINGS = {
+    added: 'Added',
+    changed: 'Changed',
+    fixed: 'Fixed'
+};
+
+function initializeReleaseNotes() {
+    const changelog = document.getElementById('changelog');
+
+    fetchJSON(siteUrl('releases.json'))
+        .then(({ releases }) => {
+            const seen = lastSeenRelease();
+            const unseen = unseenReleases(releases, seen);
+
+            if (changelog) {
+                renderChangelog(changelog, releases, unseen);
+                markReleaseSeen(releases[0].version);
+            } else if (seen === null) {
+                // First visit: nothing is new yet, announce from the next release on
+                markReleaseSeen(releases[0].version);
+            } else if (unseen.length > 0) {
+                showReleaseBanner(unseen);
+            }
+        })
+        .catch(error => console.warn('Release notes unavailable:', error));
+}
+
+function lastSeenRelease() {
+    try {
+        return localStorage.getItem(RELEASE_SEEN_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function markReleaseSeen(version) {
+    try {
+        localStorage.setItem(RELEASE_SEEN_KEY, version);
+    } catch (error) {
+        // The banner comes back next visit, nothing worse
+    }
+}
+
+// Everything above the last version seen; one that was since removed counts as
+// seeing all but the latest
+function unseenReleases(releases, seen) {
+    if (seen === null) return [];
+    const index = releases.findIndex(release => release.version === seen);
+    return releases.slice(0, index === -1 ? 1 : index);
+}
+
+// Keep in sync with releaseAnchor() in scripts/build-changelog.js
+function releaseAnchor(version) {
+    return `v${version.replace(/\./g, '-')}`;
+}
+
+function renderChangelog(container, releases, unseen) {
+    container.innerHTML = releases.map(release => {
+        const changes = Object.entries(release.changes || {})
+            .filter(([, items]) => items.length > 0)
+            .map(([type, items]) => `<h3>${escapeHtml(RELEASE_CHANGE_HEADINGS[type] || type)}</h3><ul>` +
+                items.map(item => `<li>${escapeHtml(item)}</li>`).join('') + '</ul>')
+            .join('');
+        const link = release.url
+            ? `<a href="${escapeHtml(release.url)}" class="release-link"><i class="fab fa-github"></i> Release on GitHub</a>`
+            : '';
+
+        return `<article class="release-entry" id="${releaseAnchor(release.version)}">` +
+            '<header class="release-header">' +
+                `<h2><span class="release-version">v${escapeHtml(release.version)}</span> ${escapeHtml(release.title)}</h2>` +
+                (unseen.includes(release) ? '<span class="release-new">New</span>' : '') +
+                `<time datetime="${escapeHtml(release.date)}">${escapeHtml(release.date)}</time>` +
+            '</header>' +
+            (release.summary ? `<p class="release-summary">${escapeHtml(release.summary)}</p>` : '') +
+            changes +
+            link +
+            '</article>';
+    }).join('');
+
+    // Entries arrive after load, so a linked one has to be scrolled to here
+    const target = location.hash && document.getElementById(safeDecodeURIComponent(location.hash.substring(1)));
+    if (target) scrollToElement(target, 'auto');
+}
+
+function showReleaseBanner(unseen) {
+    if (document.querySelector('.release-banner')) return;
+
+    const latest = unseen[0];
+    const earlier = unseen.length - 1;
+    const banner = document.createElement('div');
+    banner.className = 'release-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', 'What\'s new');
+    banner.innerHTML = '<p><strong>New since your last visit:</strong> ' +
+        `<span class="release-version">v${escapeHtml(latest.version)}</span> ${escapeHtml(latest.title)}` +
+        (earlier > 0 ? `, plus ${earlier} earlier release${earlier === 1 ? '' : 's'}` : '') + '</p>' +
+        (latest.summary ? `<p class="release-summary">${escapeHtml(latest.summary)}</p>` : '') +
+        '<div class="release-actions">' +
+            `<a href="${siteUrl('changelog.html')}#${releaseAnchor(latest.version)}" class="btn btn-outline" data-action="read">What's new</a>` +
+            '<button type="button" class="btn btn-outline" data-action="dismiss">Dismiss</button>' +
+        '</div>';
+    document.body.appendChild(banner);
+
+    banner.addEventListener('click', e => {
+        const action = e.target.closest('[data-action]')?.getAttribute('data-action');
+        if (!action) return;
+
+        markReleaseSeen(latest.version);
+        trackEvent('Releases', action, latest.version);
+        if (action === 'dismiss') banner.remove();
+    });
+}
+
+// Display settings - navbar toggles that cycle through theme and motion preferences.
+// The palette is applied by theme.js and the motion policy lives in motion.js.
+const THEME_LABELS = {
+    auto: { label: 'System theme', icon: 'fa-desktop' },
+    light: { label: 'Light theme', icon: 'fa-sun' },
+    dark: { label: 'Dark theme', icon: 'fa-moon' },
+    contrast: { label: 'High contrast theme', icon: 'fa-circle-half-stroke' }
+};
+
+const MOTION_LABELS = {
+    auto: { label: 'Motion follows system', icon: 'fa-film' },
+    reduce: { label: 'Reduced motion', icon: 'fa-circle-pause' },
+    full: { label: 'Full motion', icon: 'fa-circle-play' }
+};
+
+function initializeThemeToggle() {
+    if (typeof applyTheme !== 'function') return;
+
+    addNavCycleToggle('nav-theme', THEME_PREFERENCES, THEME_LABELS, storedThemePreference(), next => {
+        setThemePreference(next);
+        trackEvent('Theme', 'select', next);
+    });
+
+    // With "auto", follow the OS as it changes
+    ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+        window.matchMedia(query).addEventListener?.('change', () => {
+            if (storedThemePreference() === 'auto') setThemePreference('auto');
+        });
+    });
+}
+
+function setThemePreference(preference) {
+    try {
+        if (preference === 'auto') {
+            localStorage.removeItem(THEME_KEY);
+        } else {
+            localStorage.setItem(THEME_KEY, preference);
+        }
+    } catch (error) {
+        // Not persisted, but still applied for this page
+    }
+
+    const theme = applyTheme(preference);
+    window.dispatchEvent(new CustomEvent('themechange', { detail: { theme, preference } }));
+}
+
+function initializeMotionToggle() {
+    if (typeof updateMotionPolicy !== 'function') return;
+
+    addNavCycleToggle('nav-motion', MOTION_PREFERENCES, MOTION_LABELS, storedMotionPreference(), next => {
+        setMotionPreference(next);
+        trackEvent('Motion', 'select', next);
+    });
+
+    probeFrameBudget();
+}
+
+// One nav button per setting; each click moves to the next preference
+function addNavCycleToggle(className, preferences, labels, current, onSelect) {
+    const navMenu = document.querySelector('.nav-menu');
+    if (!navMenu || navMenu.querySelector(`.${className}`)) return;
+
+    const item = document.createElement('li');
+    item.className = 'nav-item';
+    item.innerHTML = `<button type="button" class="${className}"><i class="fas"></i></button>`;
+    const button = item.querySelector('button');
+
+    let preference = current;
+    const update = () => {
+        const next = preferences[(preferences.indexOf(preference) + 1) % preferences.length];
+        button.querySelector('i').className = `fas ${labels[preference].icon}`;
+        button.setAttribute('aria-label', `${labels[preference].label}. Switch to ${labels[next].label.toLowerCase()}`);
+        button.title = labels[preference].label;
+    };
+    update();
+
+    button.addEventListener('click', () => {
+        preference = preferences[(preferences.indexOf(preference) + 1) % preferences.length];
+        update();
+        onSelect(preference);
+    });
+
+    const githubItem = navMenu.querySelector('.github-link')?.closest('.nav-item');
+    navMenu.insertBefore(item, githubItem || null);
+}
+
+// Internationalization - elements marked data-i18n="message.id" are translated from
+// i18n/<code>.json (see i18n.js); whatever a bundle lacks keeps the page's English.
+// i18nState is declared at the top of this file.
+function initializeI18n() {
+    if (typeof preferredLanguage !== 'function') return;
+
+    const language = preferredLanguage();
+    if (language.code !== 'en') setSiteLanguage(language.code);
+}
+
+function setSiteLanguage(code) {
+    const language = findSiteLanguage(code) || SITE_LANGUAGES[0];
+    i18nState.language = language.code;
+
+    const bundle = language.code === 'en'
+        ? Promise.resolve(null)
+        : fetchJSON(siteUrl(`i18n/${language.code}.json`)).catch(error => {
+            console.warn(`Translations for ${language.code} unavailable:`, error);
+            return null;
+        });
+
+    return bundle.then(data => {
+        // A later switch wins over a slow fetch
+        if (i18nState.language !== language.code) return;
+
+        i18nState.bundle = data;
+        document.documentElement.lang = data ? language.lang : 'en';
+        applyTranslations(document);
+    });
+}
+
+function applyTranslations(root) {
+    const messages = i18nState.bundle?.messages || {};
+    const comments = i18nState.bundle?.comments || {};
+    const translating = Boolean(i18nState.bundle);
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        if (!i18nState.originals.has(element)) i18nState.originals.set(element, element.textContent);
+
+        const message = messages[element.getAttribute('data-i18n')];
+        element.textContent = message ?? i18nState.originals.get(element);
+
+        // Untranslated copy stays tagged as English for screen readers and fonts
+        if (translating && message == null) {
+            element.lang = 'en';
+        } else {
+            element.removeAttribute('lang');
+        }
+    });
+
+    // Code stays as written; only comments whose English text is in the bundle change
+    root.querySelectorAll('.code-block pre code').forEach(code => {
+        let original = i18nState.originals.get(code);
+        if (!original || original.shown !== code.textContent) {
+            // First visit, or the code was regenerated since (the calculator sample)
+            original = { source: code.textContent, shown: code.textContent };
+            i18nState.originals.set(code, original);
+        }
+
+        const text = translateCodeComments(original.source, comments);
+        if (text === code.textContent) return;
+
+        code.textContent = text;
+        original.shown = text;
+        if (code.hasAttribute('data-highlighted')) highlightCodeBlock(code);
+    });
+}
+
+// Bundles key comments by their English text, so snippets are only written once
+function translateCodeComments(text, comments) {
+    return text.replace(/(^|\s)(#+\s*)([^\n]+)/g, (match, space, marker, comment) => {
+        const translated = comments[comment.trim()];
+        return translated ? space + marker + translated : match;
+    });
+}
+
+function initializeLanguageSwitcher() {
+    const navMenu = document.querySelector('.nav-menu');
+    if (typeof SITE_LANGUAGES === 'undefined' || !navMenu || navMenu.querySelector('.nav-language')) return;
+
+    const item = document.createElement('li');
+    item.className = 'nav-item';
+    item.innerHTML = '<select class="nav-language" aria-label="Language">' +
+        SITE_LANGUAGES.map(language =>
+            `<option value="${language.code}" lang="${language.lang}"${language.code === i18nState.language ? ' selected' : ''}>` +
+                `${escapeHtml(language.name)}</option>`
+        ).join('') +
+        '</select>';
+
+    const select = item.querySelector('select');
+    select.addEventListener('change', () => {
+        storeLanguage(select.value);
+
+        // A ?lang= in the URL would override the new choice on reload
+        const url = new URL(location.href);
+        if (url.searchParams.has('lang')) {
+            url.searchParams.set('lang', select.value);
+            history.replaceState(history.state, '', url.href);
+        }
+
+        setSiteLanguage(select.value);
+        trackEvent('Language', 'select', select.value);
+    });
+
+    const githubItem = navMenu.querySelector('.github-link')?.closest('.nav-item');
+    navMenu.insertBefore(item, githubItem || null);
+}
+
+// Offline reading - service worker registration, update prompt and download manager
+const offlineState = {
+    registration: null,
+    reloading: false,
+    returnFocus: null
+};
+
+function initializeServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    const register = () => {
+        navigator.serviceWorker.register('/sw.js')
+            .then(registration => {
+                console.log('SW registered:', registration.scope);
+                offlineState.registration = registration;
+                watchForWaitingWorker(registration);
+            })
+            .catch(error => {
+                console.log('SW registration failed:', error);
+            });
+    };
+
+    if (document.readyState === 'complete') {
+        register();
+    } else {
+        window.addEventListener('load', register);
+    }
+
+    // Reload once the updated worker has taken over, but only when we asked for it
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (offlineState.reloading) location.reload();
+    });
+}
+
+function watchForWaitingWorker(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            // No controller means first install, which activates without waiting
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateBanner(worker);
+            }
+        });
+    });
+}
+
+function showUpdateBanner(worker) {
+    if (document.querySelector('.update-banner')) return;
+
+    const banner = document.createElement('div');
+    banner.className = 'update-banner';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = '<span><i class="fas fa-sync-alt"></i> A new version of the ChanFM site is ready.</span>' +
+        '<button type="button" class="btn btn-outline" data-action="update">Update</button>' +
+        '<button type="button" class="btn btn-outline" data-action="dismiss">Later</button>';
+    document.body.appendChild(banner);
+
+    banner.addEventListener('click', e => {
+        const action = e.target.closest('[data-action]')?.getAttribute('data-action');
+        if (action === 'update') {
+            offlineState.reloading = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        }
+        if (action) banner.remove();
+    });
+
+    updateOfflineStatus();
+}
+
+// Post a message with a reply port; progress messages stream to onProgress
+// Ask the worker controlling this page. Rejects when there is none yet (first visit,
+// failed registration), when it replies { error }, or when it goes quiet for too long;
+// progress messages count as activity.
+const SERVICE_WORKER_TIMEOUT = 30000;
+
+function messageServiceWorker(type, onProgress) {
+    const worker = navigator.serviceWorker?.controller;
+    if (!worker) return Promise.reject(new Error('Offline support isn\'t active yet. Reload the page and try again.'));
+
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        let timer = null;
+
+        const settle = (callback, value) => {
+            clearTimeout(timer);
+            channel.port1.close();
+            callback(value);
+        };
+        const waitForReply = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => settle(reject, new Error('The service worker didn\'t respond.')), SERVICE_WORKER_TIMEOUT);
+        };
+
+        channel.port1.onmessage = event => {
+            if (event.data.type === 'progress') {
+                waitForReply();
+                if (onProgress) onProgress(event.data);
+                return;
+            }
+            if (event.data.error) {
+                settle(reject, new Error(event.data.error));
+            } else {
+                settle(resolve, event.data);
+            }
+        };
+        waitForReply();
+        worker.postMessage({ type }, [channel.port2]);
+    });
+}
+
+function initializeOfflineSettings() {
+    const navMenu = document.querySelector('.nav-menu');
+    if (!navMenu || navMenu.querySelector('.nav-offline')) return;
+
+    const item = document.createElement('li');
+    item.className = 'nav-item';
+    item.innerHTML = '<button type="button" class="nav-offline" aria-label="Offline reading settings" title="Offline reading">' +
+        '<i class="fas fa-cloud-download-alt"></i></button>';
+    item.querySelector('button').addEventListener('click', openOfflinePanel);
+
+    const githubItem = navMenu.querySelector('.github-link')?.closest('.nav-item');
+    navMenu.insertBefore(item, githubItem || null);
+}
+
+function ensureOfflinePanel() {
+    let panel = document.getElementById('offline-panel');
+    if (panel) return panel;
+
+    panel = document.createElement('div');
+    panel.className = 'offline-panel';
+    panel.id = 'offline-panel';
+    panel.hidden = true;
+    panel.innerHTML =
+        '<div class="offline-dialog" role="dialog" aria-modal="true" aria-labelledby="offline-title">' +
+            '<div class="offline-header">' +
+                '<h2 id="offline-title"><i class="fas fa-cloud-download-alt"></i> Offline Reading</h2>' +
+                '<button type="button" class="offline-close" aria-label="Close"><i class="fas fa-times"></i></button>' +
+            '</div>' +
+            '<p class="offline-status" id="offline-status"></p>' +
+            '<div class="offline-actions">' +
+                '<button type="button" class="btn btn-outline" id="offline-download"><i class="fas fa-download"></i> Make all docs available offline</button>' +
+                '<button type="button" class="btn btn-outline" id="offline-clear"><i class="fas fa-trash-alt"></i> Clear cache</button>' +
+            '</div>' +
+            '<progress id="offline-progress" max="1" value="0" hidden></progress>' +
+            '<p class="offline-progress-label" id="offline-progress-label" aria-live="polite"></p>' +
+            '<table class="offline-table">' +
+                '<thead><tr><th scope="col">Cached page</th><th scope="col">Size</th></tr></thead>' +
+                '<tbody id="offline-entries"></tbody>' +
+                '<tfoot><tr><th scope="row">Total</th><td id="offline-total">-</td></tr></tfoot>' +
+            '</table>' +
+            '<p class="offline-storage" id="offline-storage"></p>' +
+            '<label class="offline-analytics" id="offline-analytics" hidden>' +
+                '<input type="checkbox"> Share anonymous usage statistics (which pages, tabs and snippets are used)' +
+            '</label>' +
+        '</div>';
+    document.body.appendChild(panel);
+
+    panel.addEventListener('click', e => {
+        if (e.target === panel || e.target.closest('.offline-close')) closeOfflinePanel();
+    });
+    panel.addEventListener('keydown', e => trapFocus(panel.querySelector('.offline-dialog'), e));
+    panel.querySelector('#offline-download').addEventListener('click', downloadAllDocs);
+    panel.querySelector('#offline-clear').addEventListener('click', clearOfflineCache);
+    panel.querySelector('#offline-analytics input').addEventListener('change', e => {
+        setAnalyticsConsent(e.target.checked);
+        document.querySelector('.consent-banner')?.remove();
+    });
+
+    return panel;
+}
+
+function openOfflinePanel() {
+    const panel = ensureOfflinePanel();
+    if (!panel.hidden) return;
+
+    offlineState.returnFocus = document.activeElement;
+    panel.hidden = false;
+    document.body.classList.add('search-open');
+    closeMobileMenu();
+    panel.querySelector('.offline-close').focus();
+
+    updateOfflineStatus();
+    refreshCacheDetails();
+}
+
+function closeOfflinePanel() {
+    const panel = document.getElementById('offline-panel');
+    if (!panel || panel.hidden) return;
+
+    panel.hidden = true;
+    document.body.classList.remove('search-open');
+    if (offlineState.returnFocus && offlineState.returnFocus.focus) {
+        offlineState.returnFocus.focus();
+    }
+}
+
+function updateOfflineStatus() {
+    const status = document.getElementById('offline-status');
+    if (!status) return;
+
+    const supported = 'serviceWorker' in navigator;
+    const waiting = offlineState.registration?.waiting;
+    if (!supported) {
+        status.textContent = 'Offline reading is not supported in this browser.';
+    } else if (waiting) {
+        status.innerHTML = 'A new version of the site is waiting. <button type="button" class="offline-update">Update now</button>';
+        status.querySelector('button').addEventListener('click', () => {
+            offlineState.reloading = true;
+            waiting.postMessage({ type: 'SKIP_WAITING' });
+        });
+    } else {
+        status.textContent = navigator.serviceWorker.controller
+            ? 'Pages you visit are saved for offline use. Download everything before you lose connectivity.'
+            : 'Offline support is starting up. Reload the page if this message stays.';
+    }
+
+    document.getElementById('offline-download').disabled = !supported;
+    document.getElementById('offline-clear').disabled = !supported;
+
+    const analytics = document.getElementById('offline-analytics');
+    analytics.hidden = !analyticsEndpoint() || doNotTrack();
+    analytics.querySelector('input').checked = analyticsEnabled();
+}
+
+function refreshCacheDetails() {
+    const body = document.getElementById('offline-entries');
+    if (!body || !('serviceWorker' in navigator)) return;
+
+    body.innerHTML = '<tr><td colspan="2">Reading cache&hellip;</td></tr>';
+    messageServiceWorker('GET_CACHE_DETAILS').then(({ entries, total, unknown, storage }) => {
+        document.getElementById('offline-total').textContent = formatBytes(total) + (unknown ? ` + ${unknown} unknown` : '');
+        document.getElementById('offline-storage').textContent = storage?.quota
+            ? `This site uses ${formatBytes(storage.usage)} of ${formatBytes(storage.quota)} the browser allows. Files saved as you browse expire after a while; files you download here are kept.`
+            : '';
+        if (entries.length === 0) {
+            body.innerHTML = '<tr><td colspan="2">Nothing cached yet.</td></tr>';
+            return;
+        }
+
+        // Sizes of CDN files are hidden from the site (null); list them last
+        body.innerHTML = entries
+            .sort((a, b) => (b.size ?? -1) - (a.size ?? -1))
+            .map(entry => `<tr><td>${escapeHtml(cachedEntryLabel(entry.url))}</td><td>${entry.size === null ? 'Unknown' : formatBytes(entry.size)}</td></tr>`)
+            .join('');
+    }).catch(error => {
+        document.getElementById('offline-total').textContent = '-';
+        body.innerHTML = `<tr><td colspan="2">Couldn't read the cache. ${escapeHtml(error.message)}</td></tr>`;
+    });
+}
+
+// Same-origin URLs show their path, CDN resources their host too
+function cachedEntryLabel(url) {
+    const parsed = new URL(url);
+    const path = safeDecodeURIComponent(parsed.pathname) + parsed.search;
+    return parsed.origin === location.origin ? path : parsed.host + path;
+}
+
+function downloadAllDocs() {
+    const button = document.getElementById('offline-download');
+    const progress = document.getElementById('offline-progress');
+    const label = document.getElementById('offline-progress-label');
+
+    button.disabled = true;
+    progress.hidden = false;
+    progress.value = 0;
+    label.textContent = 'Starting download…';
+
+    messageServiceWorker('PRECACHE_ALL', ({ done, total, url }) => {
+        progress.max = total;
+        progress.value = done;
+        label.textContent = `Saved ${done} of ${total}: ${cachedEntryLabel(url)}`;
+    }).then(({ total, failed }) => {
+        button.disabled = false;
+        label.textContent = failed.length === 0
+            ? `All ${total} files are available offline.`
+            : `${total - failed.length} of ${total} files saved. Failed: ${failed.join(', ')}`;
+        refreshCacheDetails();
+        trackEvent('offline', 'download_all', `${total - failed.length}/${total}`);
+    }).catch(error => {
+        button.disabled = false;
+        progress.hidden = true;
+        label.textContent = `Download failed. ${error.message}`;
+    });
+}
+
+function clearOfflineCache() {
+    const label = document.getElementById('offline-progress-label');
+
+    messageServiceWorker('CLEAR_CACHE').then(() => {
+        document.getElementById('offline-progress').hidden = true;
+        label.textContent = 'Cache cleared. Pages will be saved again as you visit them.';
+        refreshCacheDetails();
+    }).catch(error => {
+        label.textContent = `Couldn't clear the cache. ${error.message}`;
+    });
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Connectivity - a navbar badge while offline, and "Back online" briefly after.
+// External links (GitHub, chanfm-bench) can't load offline, so they're disabled meanwhile.
+const CONNECTION_BACK_DELAY = 3000;
+
+function initializeConnectivity() {
+    const navMenu = document.querySelector('.nav-menu');
+    if (!navMenu || navMenu.querySelector('.nav-connection')) return;
+
+    const item = document.createElement('li');
+    item.className = 'nav-item';
+    // Empty while online; kept in the page so screen readers announce changes
+    item.innerHTML = '<span class="nav-connection" role="status"></span>';
+    const indicator = item.querySelector('.nav-connection');
+
+    const githubItem = navMenu.querySelector('.github-link')?.closest('.nav-item');
+    navMenu.insertBefore(item, githubItem || null);
+
+    let hideTimer = null;
+    const update = () => {
+        const online = navigator.onLine;
+        clearTimeout(hideTimer);
+        document.documentElement.classList.toggle('is-offline', !online);
+        setExternalLinksDisabled(!online);
+
+        indicator.classList.toggle('is-online', online);
+        indicator.innerHTML = online
+            ? '<i class="fas fa-wifi" aria-hidden="true"></i> Back online'
+            : '<i class="fas fa-plug" aria-hidden="true"></i> Offline';
+        if (online) {
+            hideTimer = setTimeout(() => { indicator.innerHTML = ''; }, CONNECTION_BACK_DELAY);
+        }
+    };
+
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+
+    // Also catches links rendered after the connection dropped (leaderboard, model cards)
+    document.addEventListener('click', e => {
+        const link = e.target.closest('a[href]');
+        if (link && !navigator.onLine && isExternalLink(link)) e.preventDefault();
+    });
+
+    if (!navigator.onLine) update();
+}
+
+function isExternalLink(link) {
+    return /^https?:$/.test(link.protocol) && link.origin !== location.origin;
+}
+
+function setExternalLinksDisabled(disabled) {
+    document.querySelectorAll('a[href]').forEach(link => {
+        if (!isExternalLink(link)) return;
+        if (disabled) {
+            link.setAttribute('aria-disabled', 'true');
+        } else {
+            link.removeAttribute('aria-disabled');
+        }
+    });
+}
+
+// Offline fallback (offline.html) - sw.js serves it in place of pages it can't fetch or
+// find in the cache. Lists the pages that are cached, and retries once we're back online.
+function initializeOfflineFallback() {
+    const list = document.getElementById('offline-page-list');
+    if (!list) return;
+
+    document.getElementById('offline-retry').addEventListener('click', () => location.reload());
+    window.addEventListener('online', () => location.reload());
+
+    if (!navigator.serviceWorker?.controller) return;
+
+    Promise.all([
+        messageServiceWorker('GET_CACHE_DETAILS'),
+        fetchJSON(siteUrl('search-index.json')).catch(() => ({ pages: [] }))
+    ]).then(([{ entries }, index]) => renderOfflinePages(list, entries, index.pages))
+        // The static Home and Get Started links stay as the fallback
+        .catch(error => console.warn('Cached pages unavailable:', error));
+}
+
+// Cached pages titled from the search index, site pages first, then archived docs
+function renderOfflinePages(list, entries, pages) {
+    const order = pages.map(page => page.url);
+    const titles = new Map(pages.map(page => [page.url, page.title.replace(/ - ChanFM$/, '')]));
+    // The home page title is the site's tagline
+    titles.set('index.html', 'Home');
+    const found = new Map();
+
+    entries.forEach(entry => {
+        const url = new URL(entry.url);
+        if (url.origin !== location.origin || !/(\.html|\/)$/.test(url.pathname)) return;
+
+        const file = url.pathname.split('/').pop() || 'index.html';
+        if (file === 'offline.html' || file === '404.html') return;
+
+        const version = url.pathname.match(/^\/docs\/v([^/]+)\//)?.[1] || null;
+        const href = version ? url.pathname : `/${file}`;
+        if (found.has(href)) return;
+
+        const title = titles.get(file) || file;
+        const rank = order.includes(file) ? order.indexOf(file) : order.length;
+        found.set(href, { href, title: version ? `${title} (v${version})` : title, version, rank });
+    });
+
+    const items = [...found.values()].sort((a, b) =>
+        (a.version || '').localeCompare(b.version || '') || a.rank - b.rank);
+    list.innerHTML = items.length > 0
+        ? items.map(item => `<li><a href="${escapeHtml(item.href)}">${escapeHtml(item.title)}</a></li>`).join('')
+        : '<li>No pages are saved yet.</li>';
+}
+
+// Sample schema validator (getting-started.html)
+function initializeSchemaValidator() {
+    const validator = document.getElementById('schema-validator');
+    if (!validator || typeof validateSample !== 'function') return;
+
+    const input = document.getElementById('validator-input');
+    const fileInput = document.getElementById('validator-file');
+    const dropzone = document.getElementById('validator-dropzone');
+    const results = document.getElementById('validator-results');
+
+    document.getElementById('validator-run').addEventListener('click', function() {
+        renderValidationReport(results, input.value, 'pasted input');
+    });
+
+    fileInput.addEventListener('change', function() {
+        if (this.files.length > 0) {
+            loadSampleFile(this.files[0], input, results);
+            this.value = '';
+        }
+    });
+
+    // Drag and drop onto the textarea
+    dropzone.addEventListener('dragover', function(e) {
+        e.preventDefault();
+        dropzone.classList.add('dragover');
+    });
+
+    dropzone.addEventListener('dragleave', function() {
+        dropzone.classList.remove('dragover');
+    });
+
+    dropzone.addEventListener('drop', function(e) {
+        e.preventDefault();
+        dropzone.classList.remove('dragover');
+        if (e.dataTransfer.files.length > 0) {
+            loadSampleFile(e.dataTransfer.files[0], input, results);
+        }
+    });
+}
+
+function loadSampleFile(file, input, results) {
+    file.text().then(text => {
+        // Keep the textarea responsive for large measurement files
+        input.value = text.length > 200000 ? '' : text;
+        input.placeholder = `Loaded ${file.name}`;
+        renderValidationReport(results, text, file.name);
+    }).catch(error => {
+        results.innerHTML = `<p class="validator-summary invalid">Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</p>`;
+    });
+}
+
+function renderValidationReport(container, text, sourceName) {
+    const maxReported = 200;
+    const { samples, errors } = parseSampleText(text);
+
+    if (samples.length === 0 && errors.length === 0) {
+        container.innerHTML = '<p class="validator-summary">Nothing to validate yet.</p>';
+        return;
+    }
+
+    const reports = samples.map(sample => ({ sample, issues: validateSample(sample.value) }));
+    const invalid = reports.filter(report => report.issues.some(issue => issue.severity === 'error'));
+    const total = samples.length + errors.length;
+    const failed = invalid.length + errors.length;
+
+    let html = `<p class="validator-summary ${failed === 0 ? 'valid' : 'invalid'}">` +
+        `<i class="fas ${failed === 0 ? 'fa-check-circle' : 'fa-times-circle'}"></i> ` +
+        `${escapeHtml(sourceName)}: ${total - failed} of ${total} sample${total === 1 ? '' : 's'} valid</p>`;
+
+    let reported = 0;
+    errors.forEach(error => {
+        if (reported++ >= maxReported) return;
+        html += `<div class="validator-sample"><h4>Line ${error.line}</h4>` +
+            `<ul><li class="error">${escapeHtml(error.message)}</li></ul></div>`;
+    });
+
+    reports.filter(report => report.issues.length > 0).forEach(({ sample, issues }) => {
+        if (reported++ >= maxReported) return;
+        const label = sample.line !== null ? `Line ${sample.line}` : `Sample ${sample.index + 1}`;
+        const sceneId = typeof sample.value?.scene_id === 'string' ? ` &middot; ${escapeHtml(sample.value.scene_id)}` : '';
+        html += `<div class="validator-sample"><h4>${label}${sceneId}</h4><ul>` +
+            issues.map(issue =>
+                `<li class="${issue.severity}"><code>${escapeHtml(issue.path || '(root)')}</code> ${escapeHtml(issue.message)}</li>`
+            ).join('') +
+            '</ul></div>';
+    });
+
+    if (reported > maxReported) {
+        html += `<p class="validator-summary">Showing the first ${maxReported} samples with issues.</p>`;
+    }
+
+    container.innerHTML = html;
+}
+
+// Channel visualizer (visualizer.html) - canvas plots of H, no chart library
+const visualizerState = {
+    samples: [],
+    tensor: null,
+    rawPower: 0,
+    singular: null,
+    pdp: null
+};
+
+function initializeChannelVisualizer() {
+    const visualizer = document.getElementById('channel-visualizer');
+    if (!visualizer || typeof channelTensor !== 'function') return;
+
+    const input = document.getElementById('visualizer-input');
+    const fileInput = document.getElementById('visualizer-file');
+    const dropzone = document.getElementById('visualizer-dropzone');
+
+    document.getElementById('visualizer-run').addEventListener('click', () => loadVisualizerText(input.value));
+    document.getElementById('visualizer-example').addEventListener('click', () => {
+        input.value = JSON.stringify(buildExampleChannel());
+        loadVisualizerText(input.value);
+    });
+
+    fileInput.addEventListener('change', function() {
+        if (this.files.length > 0) {
+            loadVisualizerFile(this.files[0], input);
+            this.value = '';
+        }
+    });
+
+    dropzone.addEventListener('dragover', function(e) {
+        e.preventDefault();
+        dropzone.classList.add('dragover');
+    });
+
+    dropzone.addEventListener('dragleave', function() {
+        dropzone.classList.remove('dragover');
+    });
+
+    dropzone.addEventListener('drop', function(e) {
+        e.preventDefault();
+        dropzone.classList.remove('dragover');
+        if (e.dataTransfer.files.length > 0) {
+            loadVisualizerFile(e.dataTransfer.files[0], input);
+        }
+    });
+
+    document.getElementById('visualizer-sample').addEventListener('change', e => showVisualizerSample(Number(e.target.value)));
+    document.getElementById('visualizer-normalize').addEventListener('change', () => showVisualizerSample());
+    document.getElementById('visualizer-bandwidth').addEventListener('input', debounce(() => renderDelayProfile(), 150));
+    document.getElementById('visualizer-subcarrier').addEventListener('input', () => {
+        renderChannelHeatmaps();
+        renderSingularValues();
+    });
+    document.getElementById('visualizer-snr').addEventListener('input', () => renderCapacity());
+
+    // Redraw at the new canvas size
+    window.addEventListener('resize', debounce(() => {
+        if (visualizerState.tensor) renderVisualizer();
+    }, 200));
+
+    window.addEventListener('themechange', () => {
+        if (visualizerState.tensor) renderVisualizer();
+    });
+}
+
+function loadVisualizerFile(file, input) {
+    file.text().then(text => {
+        input.value = text.length > 200000 ? '' : text;
+        input.placeholder = `Loaded ${file.name}`;
+        loadVisualizerText(text);
+    }).catch(error => {
+        setVisualizerStatus(`Could not read ${file.name}: ${error.message}`, true);
+    });
+}
+
+// Predictions carry H at the top level, samples under ground_truth
+function findChannelMatrix(value) {
+    if (!isPlainObject(value)) return undefined;
+    return value.H ?? value.ground_truth?.H ?? value.prediction?.H;
+}
+
+function loadVisualizerText(text) {
+    const { samples, errors } = parseSampleText(text);
+    visualizerState.samples = samples.filter(sample => findChannelMatrix(sample.value) !== undefined);
+
+    if (visualizerState.samples.length === 0) {
+        const reason = errors[0]
+            ? `${errors[0].line ? `Line ${errors[0].line}: ` : ''}${errors[0].message}`
+            : 'No H or ground_truth.H found.';
+        document.getElementById('visualizer-output').hidden = true;
+        setVisualizerStatus(reason, true);
+        return;
+    }
+
+    const select = document.getElementById('visualizer-sample');
+    select.innerHTML = visualizerState.samples.map((sample, i) =>
+        `<option value="${i}">${escapeHtml(sample.value.scene_id || (sample.line ? `Line ${sample.line}` : `Sample ${sample.index + 1}`))}</option>`
+    ).join('');
+    document.getElementById('visualizer-sample-field').hidden = visualizerState.samples.length < 2;
+
+    showVisualizerSample(0);
+    trackEvent('Visualizer', 'load', `${visualizerState.samples.length} samples`);
+}
+
+function showVisualizerSample(index) {
+    const select = document.getElementById('visualizer-sample');
+    if (index === undefined) index = Number(select.value) || 0;
+    select.value = String(index);
+
+    const sample = visualizerState.samples[index];
+    if (!sample) return;
+
+    const tensor = channelTensor(findChannelMatrix(sample.value));
+    if (tensor.error) {
+        document.getElementById('visualizer-output').hidden = true;
+        setVisualizerStatus(`H: ${tensor.error}`, true);
+        return;
+    }
+
+    const bandwidth = sample.value.bandwidth_Hz;
+    const bandwidthInput = document.getElementById('visualizer-bandwidth');
+    if (isFiniteNumber(bandwidth) && bandwidth > 0) bandwidthInput.value = +(bandwidth / 1e6).toPrecision(6);
+
+    const normalize = document.getElementById('visualizer-normalize').checked;
+    visualizerState.tensor = normalize ? normalizeChannel(tensor) : tensor;
+    visualizerState.rawPower = averagePower(tensor);
+    visualizerState.singular = visualizerState.tensor.data.map(singularValues);
+    visualizerState.pdp = tensor.subcarriers > 1 ? powerDelayProfile(visualizerState.tensor) : null;
+
+    const slider = document.getElementById('visualizer-subcarrier');
+    slider.max = String(tensor.subcarriers - 1);
+    slider.value = '0';
+    document.getElementById('visualizer-subcarrier-field').hidden = tensor.subcarriers < 2;
+
+    setVisualizerStatus(`${tensor.rows} TX × ${tensor.cols} RX` +
+        (tensor.subcarriers > 1 ? `, ${tensor.subcarriers} subcarriers` : ', narrowband') +
+        `. Average |h|² ${toDecibels(visualizerState.rawPower).toFixed(1)} dB${normalize ? ' (normalized for the plots)' : ''}.`);
+    document.getElementById('visualizer-output').hidden = false;
+    renderVisualizer();
+}
+
+function setVisualizerStatus(message, isError) {
+    const status = document.getElementById('visualizer-status');
+    status.textContent = message;
+    status.classList.toggle('invalid', Boolean(isError));
+}
+
+function renderVisualizer() {
+    renderChannelHeatmaps();
+    renderSingularValues();
+    renderDelayProfile();
+    renderCapacity();
+}
+
+function renderChannelHeatmaps() {
+    const { tensor } = visualizerState;
+    if (!tensor) return;
+
+    const k = Number(document.getElementById('visualizer-subcarrier').value) || 0;
+    document.getElementById('visualizer-subcarrier-value').textContent = String(k);
+
+    const matrix = tensor.data[k];
+    const magnitude = matrix.map(row => row.map(z => toDecibels(z.re * z.re + z.im * z.im)));
+    const phase = matrix.map(row => row.map(z => Math.atan2(z.im, z.re) * 180 / Math.PI));
+    const peak = Math.max(...magnitude.flat());
+
+    drawHeatmap(document.getElementById('visualizer-magnitude'), magnitude, {
+        min: peak - 40,
+        max: peak,
+        color: viridisColor,
+        unit: 'dB'
+    });
+    drawHeatmap(document.getElementById('visualizer-phase'), phase, {
+        min: -180,
+        max: 180,
+        color: phaseColor,
+        unit: '°'
+    });
+}
+
+function renderSingularValues() {
+    const { singular } = visualizerState;
+    const k = Number(document.getElementById('visualizer-subcarrier').value) || 0;
+    const values = singular[k];
+    const decibels = values.map(sigma => 20 * Math.log10(Math.max(sigma, 1e-15)));
+    // Singular values 60 dB below the largest are numerical noise, not streams
+    const rank = values.filter(sigma => sigma > values[0] * 1e-3).length;
+    const condition = decibels[0] - decibels[Math.max(rank, 1) - 1];
+
+    drawBarChart(document.getElementById('visualizer-singular'), decibels, {
+        labels: values.map((_, i) => `σ${i + 1}`),
+        yLabel: 'dB'
+    });
+    document.getElementById('visualizer-singular-readout').textContent =
+        `Effective rank ${rank} of ${values.length}; σ1/σ${Math.max(rank, 1)} = ${condition.toFixed(1)} dB` +
+        (rank === values.length ? ' (condition number).' : '.');
+}
+
+function renderDelayProfile() {
+    const { pdp } = visualizerState;
+    const canvas = document.getElementById('visualizer-pdp');
+    const readout = document.getElementById('visualizer-pdp-readout');
+    if (!visualizerState.tensor) return;
+
+    if (!pdp) {
+        clearCanvas(canvas, 'Needs H per subcarrier');
+        readout.textContent = 'A narrowband H has no delay information; stack one matrix per subcarrier.';
+        return;
+    }
+
+    const bandwidthMHz = parseFloat(document.getElementById('visualizer-bandwidth').value);
+    const tapSpacing = bandwidthMHz > 0 ? 1 / (bandwidthMHz * 1e6) : null;
+    const delays = pdp.map((_, k) => tapSpacing ? k * tapSpacing * 1e9 : k);
+    const peak = Math.max(...pdp);
+    const spread = rmsDelaySpread(pdp, tapSpacing || 1);
+    const unit = tapSpacing ? 'ns' : 'taps';
+    const scale = tapSpacing ? 1e9 : 1;
+
+    drawLinePlot(canvas, delays, pdp.map(p => toDecibels(p / peak)), {
+        xLabel: `Delay (${unit})`,
+        yLabel: 'dB',
+        yMin: -40,
+        stems: true,
+        markers: spread ? [
+            { x: spread.mean * scale, label: 'mean' },
+            { x: (spread.mean + spread.rms) * scale, label: '+τrms' }
+        ] : []
+    });
+
+    readout.textContent = spread
+        ? `RMS delay spread ${(spread.rms * scale).toFixed(tapSpacing ? 1 : 2)} ${unit}, mean delay ${(spread.mean * scale).toFixed(tapSpacing ? 1 : 2)} ${unit}` +
+            ' (taps within 30 dB of the peak).' + (tapSpacing ? '' : ' Enter the bandwidth to get nanoseconds.')
+        : 'The channel has no power.';
+}
+
+function renderCapacity() {
+    const { tensor, singular } = visualizerState;
+    if (!tensor) return;
+
+    const snrDb = Number(document.getElementById('visualizer-snr').value);
+    const snrs = [];
+    const capacities = [];
+    for (let snr = -10; snr <= 40; snr += 1) {
+        snrs.push(snr);
+        capacities.push(shannonCapacity(singular, Math.pow(10, snr / 10), tensor.rows));
+    }
+    const current = shannonCapacity(singular, Math.pow(10, snrDb / 10), tensor.rows);
+
+    document.getElementById('visualizer-snr-value').textContent = `${snrDb} dB`;
+    drawLinePlot(document.getElementById('visualizer-capacity'), snrs, capacities, {
+        xLabel: 'SNR (dB)',
+        yLabel: 'bit/s/Hz',
+        yMin: 0,
+        point: { x: snrDb, y: current }
+    });
+    document.getElementById('visualizer-capacity-readout').textContent =
+        `${current.toFixed(2)} bit/s/Hz at ${snrDb} dB SNR` +
+        (tensor.subcarriers > 1 ? `, averaged over ${tensor.subcarriers} subcarriers` : '') +
+        '. Equal power per TX antenna, no channel knowledge at the transmitter.';
+}
+
+// Canvas helpers: size to the element and the device pixel ratio
+function prepareCanvas(canvas) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return null;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || Number(canvas.getAttribute('width'));
+    const height = Math.round(width * Number(canvas.getAttribute('height')) / Number(canvas.getAttribute('width')));
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.height = `${height}px`;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '12px Inter, sans-serif';
+
+    // Follow the active theme's palette
+    const style = getComputedStyle(canvas);
+    const colors = {
+        text: style.getPropertyValue('--text-light').trim(),
+        grid: style.getPropertyValue('--border-color').trim(),
+        series: style.getPropertyValue('--primary-color').trim(),
+        marker: style.getPropertyValue('--accent-color').trim()
+    };
+    ctx.fillStyle = colors.text;
+    ctx.strokeStyle = colors.grid;
+    return { ctx, width, height, colors };
+}
+
+function clearCanvas(canvas, message) {
+    const prepared = prepareCanvas(canvas);
+    canvas.setAttribute('aria-label', message);
+    if (!prepared) return;
+
+    const { ctx, width, height } = prepared;
+    ctx.textAlign = 'center';
+    ctx.fillText(message, width / 2, height / 2);
+}
+
+function drawHeatmap(canvas, values, { min, max, color, unit }) {
+    const rows = values.length;
+    const cols = values[0].length;
+    canvas.setAttribute('aria-label', `${rows} by ${cols} heatmap, ${min.toFixed(0)} to ${max.toFixed(0)} ${unit}`);
+
+    const prepared = prepareCanvas(canvas);
+    if (!prepared) return;
+    const { ctx, width, height, colors } = prepared;
+
+    const margin = { top: 10, right: 70, bottom: 30, left: 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const cellWidth = plotWidth / cols;
+    const cellHeight = plotHeight / rows;
+
+    values.forEach((row, i) => row.forEach((value, j) => {
+        ctx.fillStyle = color(Math.min(1, Math.max(0, (value - min) / (max - min))));
+        ctx.fillRect(margin.left + j * cellWidth, margin.top + i * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+    }));
+
+    // Axes: RX elements across, TX elements down
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'center';
+    const colStep = Math.ceil(cols / 8);
+    for (let j = 0; j < cols; j += colStep) {
+        ctx.fillText(String(j), margin.left + (j + 0.5) * cellWidth, height - margin.bottom + 14);
+    }
+    ctx.fillText('RX element', margin.left + plotWidth / 2, height - 4);
+    ctx.textAlign = 'right';
+    const rowStep = Math.ceil(rows / 8);
+    for (let i = 0; i < rows; i += rowStep) {
+        ctx.fillText(String(i), margin.left - 6, margin.top + (i + 0.5) * cellHeight + 4);
+    }
+    ctx.save();
+    ctx.translate(12, margin.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('TX element', 0, 0);
+    ctx.restore();
+
+    // Colour bar
+    const barX = width - margin.right + 16;
+    for (let y = 0; y < plotHeight; y++) {
+        ctx.fillStyle = color(1 - y / plotHeight);
+        ctx.fillRect(barX, margin.top + y, 12, 1);
+    }
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'left';
+    ctx.fillText(`${max.toFixed(0)}${unit}`, barX + 16, margin.top + 10);
+    ctx.fillText(`${min.toFixed(0)}${unit}`, barX + 16, margin.top + plotHeight);
+}
+
+function drawBarChart(canvas, values, { labels, yLabel }) {
+    canvas.setAttribute('aria-label', labels.map((label, i) => `${label} ${values[i].toFixed(1)} ${yLabel}`).join(', '));
+
+    const prepared = prepareCanvas(canvas);
+    if (!prepared) return;
+    const { ctx, width, height, colors } = prepared;
+
+    const margin = { top: 10, right: 10, bottom: 30, left: 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const max = Math.ceil(Math.max(...values) / 10) * 10;
+    const min = Math.min(max - 10, Math.floor(Math.min(...values) / 10) * 10);
+    const y = value => margin.top + plotHeight * (max - value) / (max - min);
+    const slot = plotWidth / values.length;
+
+    drawYAxis(ctx, colors, margin, plotWidth, y, min, max, yLabel);
+    values.forEach((value, i) => {
+        ctx.fillStyle = colors.series;
+        ctx.fillRect(margin.left + i * slot + slot * 0.15, y(value), slot * 0.7, y(min) - y(value));
+        if (values.length <= 16) {
+            ctx.fillStyle = colors.text;
+            ctx.textAlign = 'center';
+            ctx.fillText(labels[i], margin.left + (i + 0.5) * slot, height - 10);
+        }
+    });
+}
+
+function drawLinePlot(canvas, xs, ys, { xLabel, yLabel, yMin, stems, markers = [], point }) {
+    canvas.setAttribute('aria-label', `${yLabel} against ${xLabel}` +
+        (point ? `; ${point.y.toFixed(2)} ${yLabel} at ${point.x}` : ''));
+
+    const prepared = prepareCanvas(canvas);
+    if (!prepared) return;
+    const { ctx, width, height, colors } = prepared;
+
+    const margin = { top: 10, right: 16, bottom: 36, left: 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const xMin = xs[0];
+    const xMax = xs[xs.length - 1] || 1;
+    const yMax = Math.max(Math.ceil(Math.max(...ys) / 5) * 5, yMin + 5);
+    const x = value => margin.left + plotWidth * (value - xMin) / (xMax - xMin || 1);
+    const y = value => margin.top + plotHeight * (yMax - Math.max(value, yMin)) / (yMax - yMin);
+
+    drawYAxis(ctx, colors, margin, plotWidth, y, yMin, yMax, yLabel);
+
+    // X ticks at round numbers
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'center';
+    const step = niceStep((xMax - xMin) / 6);
+    for (let tick = Math.ceil(xMin / step) * step; tick <= xMax; tick += step) {
+        ctx.fillText(String(+tick.toPrecision(6)), x(tick), margin.top + plotHeight + 14);
+    }
+    ctx.fillText(xLabel, margin.left + plotWidth / 2, height - 4);
+
+    ctx.strokeStyle = colors.series;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    xs.forEach((value, i) => {
+        if (stems) {
+            ctx.moveTo(x(value), y(yMin));
+            ctx.lineTo(x(value), y(ys[i]));
+        } else if (i === 0) {
+            ctx.moveTo(x(value), y(ys[i]));
+        } else {
+            ctx.lineTo(x(value), y(ys[i]));
+        }
+    });
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    markers.forEach(marker => {
+        ctx.strokeStyle = colors.marker;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x(marker.x), margin.top);
+        ctx.lineTo(x(marker.x), margin.top + plotHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = colors.marker;
+        ctx.textAlign = 'left';
+        ctx.fillText(marker.label, x(marker.x) + 4, margin.top + 12);
+    });
+
+    if (point) {
+        ctx.fillStyle = colors.marker;
+        ctx.beginPath();
+        ctx.arc(x(point.x), y(point.y), 5, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+}
+
+function drawYAxis(ctx, colors, margin, plotWidth, y, min, max, label) {
+    const step = niceStep((max - min) / 5);
+    ctx.textAlign = 'right';
+    for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) {
+        ctx.strokeStyle = colors.grid;
+        ctx.beginPath();
+        ctx.moveTo(margin.left, y(tick));
+        ctx.lineTo(margin.left + plotWidth, y(tick));
+        ctx.stroke();
+        ctx.fillStyle = colors.text;
+        ctx.fillText(String(+tick.toPrecision(6)), margin.left - 6, y(tick) + 4);
+    }
+    ctx.save();
+    ctx.translate(12, y((min + max) / 2));
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText(label, 0, 0);
+    ctx.restore();
+}
+
+// 1, 2 or 5 times a power of ten
+function niceStep(rough) {
+    if (!(rough > 0)) return 1;
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const fraction = rough / power;
+    return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * power;
+}
+
+// Perceptually ordered colour map for magnitude (viridis key colours)
+const VIRIDIS_STOPS = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+
+function viridisColor(t) {
+    const position = t * (VIRIDIS_STOPS.length - 1);
+    const i = Math.min(Math.floor(position), VIRIDIS_STOPS.length - 2);
+    const f = position - i;
+    const [r, g, b] = VIRIDIS_STOPS[i].map((c, channel) => Math.round(c + (VIRIDIS_STOPS[i + 1][channel] - c) * f));
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+// Cyclic hue so -180° and 180° meet
+function phaseColor(t) {
+    return `hsl(${Math.round(t * 360)}, 70%, 50%)`;
+}
+
+// Three-path wideband example: 4x4 half-wavelength ULAs, 64 subcarriers over 20 MHz
+function buildExampleChannel() {
+    const subcarriers = 64;
+    const bandwidth = 20e6;
+    const paths = [
+        { delay: 0, power: 0, aod: 10, aoa: -20 },
+        { delay: 150e-9, power: -6, aod: -35, aoa: 40 },
+        { delay: 420e-9, power: -13, aod: 55, aoa: 5 }
+    ];
+    const M = 4;
+    const N = 4;
+    const H = [];
+
+    for (let k = 0; k < subcarriers; k++) {
+        const f = (k - subcarriers / 2) * bandwidth / subcarriers;
+        const matrix = [];
+        for (let m = 0; m < M; m++) {
+            const row = [];
+            for (let n = 0; n < N; n++) {
+                let re = 0;
+                let im = 0;
+                paths.forEach(path => {
+                    const amplitude = Math.pow(10, path.power / 20);
+                    const angle = -2 * Math.PI * f * path.delay +
+                        Math.PI * m * Math.sin(path.aod * Math.PI / 180) +
+                        Math.PI * n * Math.sin(path.aoa * Math.PI / 180);
+                    re += amplitude * Math.cos(angle);
+                    im += amplitude * Math.sin(angle);
+                });
+                row.push([+re.toFixed(4), +im.toFixed(4)]);
+            }
+            matrix.push(row);
+        }
+        H.push(matrix);
+    }
+
+    return {
+        scene_id: 'example_three_path',
+        env: 'UMi',
+        frequency_Hz: 28e9,
+        bandwidth_Hz: bandwidth,
+        antenna: { tx_M: M, rx_N: N, tx_array_geom: 'ULA', rx_array_geom: 'ULA' },
+        ground_truth: { H }
+    };
+}
+
+// ChannelBench scorer (scorer.html) - scoring runs in scorer-worker.js when workers are available
+const scorerState = {
+    files: {},
+    result: null,
+    benchmark: null,
+    worker: null
+};
+
+function initializeBenchScorer() {
+    const scorer = document.getElementById('bench-scorer');
+    if (!scorer || typeof scoreSubmission !== 'function') return;
+
+    scorer.querySelectorAll('[data-scorer-file]').forEach(dropzone => {
+        const role = dropzone.getAttribute('data-scorer-file');
+        const fileInput = dropzone.querySelector('input[type="file"]');
+
+        fileInput.addEventListener('change', function() {
+            if (this.files.length > 0) setScorerFile(dropzone, role, this.files[0]);
+        });
+
+        dropzone.addEventListener('dragover', function(e) {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        });
+
+        dropzone.addEventListener('dragleave', function() {
+            dropzone.classList.remove('dragover');
+        });
+
+        dropzone.addEventListener('drop', function(e) {
+            e.preventDefault();
+            dropzone.classList.remove('dragover');
+            if (e.dataTransfer.files.length > 0) setScorerFile(dropzone, role, e.dataTransfer.files[0]);
+        });
+    });
+
+    document.getElementById('scorer-run').addEventListener('click', runBenchScorer);
+    document.getElementById('scorer-download').addEventListener('click', downloadSubmissionSummary);
+
+    // Metric labels, benchmark name and split come from the published leaderboard
+    fetchJSON('leaderboard.json')
+        .then(data => {
+            scorerState.benchmark = data;
+        })
+        .catch(error => console.warn('Leaderboard metadata unavailable:', error));
+}
+
+function setScorerFile(dropzone, role, file) {
+    scorerState.files[role] = file;
+    dropzone.querySelector('.scorer-file-name').textContent = `${file.name} (${formatBytes(file.size)})`;
+    dropzone.classList.add('loaded');
+    document.getElementById('scorer-run').disabled = !(scorerState.files.truth && scorerState.files.predictions);
+}
+
+function runBenchScorer() {
+    const { truth, predictions } = scorerState.files;
+    if (!truth || !predictions) return;
+
+    const run = document.getElementById('scorer-run');
+    const progress = document.getElementById('scorer-progress');
+    run.disabled = true;
+    progress.hidden = false;
+    progress.value = 0;
+    document.getElementById('scorer-results').hidden = true;
+    setScorerStatus('Reading files…');
+
+    const finish = (result, error) => {
+        run.disabled = false;
+        progress.hidden = true;
+        if (error) {
+            setScorerStatus(error, true);
+            return;
+        }
+        scorerState.result = result;
+        renderScorerResults(result);
+        trackEvent('Scorer', 'score', `${result.scored} samples`);
+    };
+
+    if (typeof Worker === 'undefined') {
+        scoreOnMainThread(truth, predictions, finish);
+        return;
+    }
+
+    // A new run replaces any scoring still in progress
+    if (scorerState.worker) scorerState.worker.terminate();
+    const worker = new Worker('scorer-worker.js');
+    scorerState.worker = worker;
+
+    worker.addEventListener('message', event => {
+        const message = event.data;
+        if (message.type === 'progress') {
+            progress.max = message.total || 1;
+            progress.value = message.done;
+            setScorerStatus(message.total > 1 ? `${message.phase}: ${message.done} of ${message.total} samples` : `${message.phase}…`);
+            return;
+        }
+
+        worker.terminate();
+        scorerState.worker = null;
+        finish(message.result, message.type === 'error' ? message.message : null);
+    });
+
+    worker.addEventListener('error', event => {
+        event.preventDefault();
+        worker.terminate();
+        scorerState.worker = null;
+        // Workers can't start from file:// in some browsers; score here instead
+        scoreOnMainThread(truth, predictions, finish);
+    });
+
+    worker.postMessage({ truth, predictions });
+}
+
+function scoreOnMainThread(truth, predictions, finish) {
+    Promise.all([truth.text(), predictions.text()])
+        .then(([truthText, predictionText]) => {
+            const result = scoreSubmission(
+                parseBenchFile(truthText, 'ground truth'),
+                parseBenchFile(predictionText, 'predictions')
+            );
+            finish(result, null);
+        })
+        .catch(error => finish(null, error.message));
+}
+
+function setScorerStatus(message, isError) {
+    const status = document.getElementById('scorer-status');
+    status.textContent = message;
+    status.classList.toggle('invalid', Boolean(isError));
+}
+
+function scorerMetrics() {
+    return scorerState.benchmark?.metrics || BENCH_METRICS.map(id => ({ id, label: id, unit: '' }));
+}
+
+function renderScorerResults(result) {
+    const metrics = scorerMetrics();
+
+    if (result.scored === 0) {
+        setScorerStatus('No ground-truth sample had a matching prediction; check that scene_id values agree.', true);
+        document.getElementById('scorer-head').innerHTML = '';
+        document.getElementById('scorer-body').innerHTML = '';
+        document.getElementById('scorer-meta').textContent = '';
+        renderScorerNotes(result);
+        return;
+    }
+
+    setScorerStatus(`Scored ${result.scored} sample${result.scored === 1 ? '' : 's'}.`);
 
-    // Non-critical - defer until page is loaded
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initializeNonCritical);
-    } else {
-        // DOM already loaded
-        initializeNonCritical();
+    document.getElementById('scorer-head').innerHTML =
+        '<tr><th scope="col">Env</th><th scope="col">Band</th><th scope="col">Samples</th>' +
+        metrics.map(metric => `<th scope="col">${escapeHtml(metric.label)} <small>(${escapeHtml(metric.unit)})</small></th>`).join('') +
+        '</tr>';
+
+    const row = (env, band, group, tag) => `<tr${tag ? ` class="${tag}"` : ''}><td>${env}</td><td>${band}</td>` +
+        `<td class="leaderboard-value">${group.samples}</td>` +
+        metrics.map(metric => {
+            const value = group.metrics[metric.id];
+            return `<td class="leaderboard-value">${value == null ? '&mdash;' : value}</td>`;
+        }).join('') + '</tr>';
+
+    document.getElementById('scorer-body').innerHTML =
+        result.groups.map(group => row(escapeHtml(group.env), escapeHtml(group.band), group)).join('') +
+        row('<strong>All</strong>', '', result.overall, 'scorer-overall');
+
+    renderScorerNotes(result);
+
+    const benchmark = scorerState.benchmark;
+    document.getElementById('scorer-meta').textContent = benchmark
+        ? `${benchmark.benchmark} (${benchmark.split} split). Capacity error is averaged over ${BENCH_CAPACITY_SNRS_DB.join(', ')} dB SNR.`
+        : `Capacity error is averaged over ${BENCH_CAPACITY_SNRS_DB.join(', ')} dB SNR.`;
+    document.getElementById('scorer-results').hidden = false;
+}
+
+function renderScorerNotes(result) {
+    const notes = [];
+    const list = (ids) => ids.slice(0, 5).map(escapeHtml).join(', ') + (ids.length > 5 ? `, and ${ids.length - 5} more` : '');
+
+    if (result.invalidTruth.length > 0) {
+        notes.push(`${result.invalidTruth.length} ground-truth sample(s) failed validation and were skipped, e.g. ` +
+            `<code>${escapeHtml(result.invalidTruth[0].id)}</code>: ${escapeHtml(result.invalidTruth[0].message)}`);
+    }
+    if (result.missingPredictions.length > 0) {
+        notes.push(`No prediction for ${result.missingPredictions.length} sample(s): ${list(result.missingPredictions)}`);
+    }
+    if (result.unmatchedPredictions.length > 0) {
+        notes.push(`${result.unmatchedPredictions.length} prediction(s) match no ground-truth scene: ${list(result.unmatchedPredictions)}`);
+    }
+    if (result.duplicatePredictions.length > 0) {
+        notes.push(`Duplicate predictions (the first one was scored): ${list(result.duplicatePredictions)}`);
+    }
+    if (result.skipped.h > 0) {
+        notes.push(`${result.skipped.h} predicted H matrices had a different shape from the ground truth and were not scored`);
+    }
+    if (result.skipped.delaySpread > 0) {
+        notes.push(`${result.skipped.delaySpread} sample(s) had no delay spread: it needs <code>rms_delay_spread_ns</code>, ` +
+            'or a per-subcarrier H and <code>bandwidth_Hz</code>');
     }
 
-    function initializeNonCritical() {
-        requestIdleCallback(function() {
-            initializeScrollEffects();
-            initializeCodeTabs();
-            initializeAnimations();
-        });
+    document.getElementById('scorer-notes').innerHTML = notes.map(note => `<li>${note}</li>`).join('');
+    document.getElementById('scorer-results').hidden = notes.length === 0 && result.scored === 0;
+    document.getElementById('scorer-download').hidden = result.scored === 0;
+}
 
-        // Defer heavy animations
-        setTimeout(function() {
-            if ('requestIdleCallback' in window) {
-                requestIdleCallback(initializeParallax);
-            } else {
-                initializeParallax();
-            }
-        }, 100);
+function downloadSubmissionSummary() {
+    const result = scorerState.result;
+    if (!result || result.scored === 0) return;
+
+    const nameInput = document.getElementById('scorer-model-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+        setScorerStatus('Enter a model name for the submission summary.', true);
+        nameInput.focus();
+        return;
     }
-})();
 
-// Navigation functionality
-function initializeNavigation() {
-    const navbar = document.getElementById('navbar');
-    const navLinks = document.querySelectorAll('.nav-link');
+    const benchmark = scorerState.benchmark || { benchmark: 'ChannelBench', split: null };
+    const summary = buildSubmissionSummary(result, {
+        name,
+        version: document.getElementById('scorer-model-version').value.trim(),
+        url: document.getElementById('scorer-model-url').value.trim(),
+        paper: document.getElementById('scorer-paper-url').value.trim()
+    }, benchmark);
 
-    // Smooth scrolling for navigation links
-    navLinks.forEach(link => {
-        link.addEventListener('click', function(e) {
-            e.preventDefault();
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'model';
+    downloadFile(`channelbench-${slug}.json`, JSON.stringify(summary, null, 2) + '\n', 'application/json');
+    trackEvent('Scorer', 'download', name);
+}
 
-            const targetId = this.getAttribute('href');
-            if (targetId.startsWith('#')) {
-                const targetElement = document.querySelector(targetId);
-                if (targetElement) {
-                    const offsetTop = targetElement.offsetTop - 70; // Account for navbar height
+// Scenario builder (scenario.html) - batches of samples for api.predict, generated by scenario.js
+const scenarioState = {
+    config: null,
+    points: [],
+    samples: []
+};
 
-                    window.scrollTo({
-                        top: offsetTop,
-                        behavior: 'smooth'
-                    });
+function initializeScenarioBuilder() {
+    const form = document.getElementById('scenario-form');
+    if (!form || typeof buildScenarioSamples !== 'function') return;
 
-                    // Update active link
-                    updateActiveNavLink(targetId.substring(1));
+    form.addEventListener('input', debounce(() => renderScenario(form), 200));
+    form.addEventListener('submit', e => e.preventDefault());
 
-                    // Close mobile menu if open
-                    closeMobileMenu();
-                }
-            }
+    document.getElementById('scenario-preset').addEventListener('change', e => {
+        applyScenarioPreset(form, e.target.value);
+        renderScenario(form);
+    });
+
+    form.querySelectorAll('[data-band]').forEach(chip => {
+        chip.addEventListener('click', () => {
+            addScenarioFrequencies(form, SCENARIO_BAND_CARRIERS_GHZ[chip.getAttribute('data-band')]);
         });
     });
 
-    // Throttled scroll spy for navigation
-    let scrollTicking = false;
-    window.addEventListener('scroll', function() {
-        if (!scrollTicking) {
-            requestAnimationFrame(handleScroll);
-            scrollTicking = true;
+    document.getElementById('scenario-clear-frequencies').addEventListener('click', () => {
+        form.elements.frequencies.value = '';
+        renderScenario(form);
+    });
+
+    document.getElementById('scenario-sweep').addEventListener('click', () => {
+        const number = name => Number(form.elements[name].value);
+        try {
+            addScenarioFrequencies(form, frequencySweep(number('sweep_start'), number('sweep_stop'),
+                number('sweep_points'), form.elements.sweep_scale.value));
+        } catch (error) {
+            setScenarioStatus(error.message, true);
         }
     });
 
-    function handleScroll() {
-        scrollTicking = false;
-        const sections = document.querySelectorAll('section[id]');
-        const scrollPosition = window.scrollY + 100;
+    document.getElementById('scenario-download-samples').addEventListener('click', downloadScenarioSamples);
+    document.getElementById('scenario-download-driver').addEventListener('click', () => downloadScenarioDriver(form));
 
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.offsetHeight;
-            const sectionId = section.getAttribute('id');
+    window.addEventListener('resize', debounce(drawScenarioMap, 200));
+    window.addEventListener('themechange', drawScenarioMap);
 
-            if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-                updateActiveNavLink(sectionId);
-            }
-        });
+    renderScenario(form);
+}
 
-        // Add scrolled class to navbar
-        if (window.scrollY > 50) {
-            navbar.classList.add('scrolled');
-        } else {
-            navbar.classList.remove('scrolled');
-        }
+function applyScenarioPreset(form, id) {
+    const preset = SCENARIO_PRESETS[id];
+    if (!preset) return;
+
+    const set = (name, value) => {
+        form.elements[name].value = value;
+    };
+    set('scene_prefix', id);
+    set('env', preset.env);
+    ['tx_x', 'tx_y', 'tx_z'].forEach((name, i) => set(name, preset.tx.pos_m[i]));
+    set('power_dBm', preset.tx.power_dBm);
+    set('layout', preset.layout);
+
+    if (preset.layout === 'grid') {
+        set('grid_x0', preset.grid.x_m[0]);
+        set('grid_x1', preset.grid.x_m[1]);
+        set('grid_y0', preset.grid.y_m[0]);
+        set('grid_y1', preset.grid.y_m[1]);
+        set('grid_spacing', preset.grid.spacing_m);
+        set('grid_height', preset.grid.height_m);
+    } else {
+        set('waypoints', preset.route.waypoints.map(point => point.join(', ')).join('\n'));
+        set('route_spacing', preset.route.spacing_m);
+        set('route_height', preset.route.height_m);
+        set('velocity_mps', preset.route.velocity_mps || '');
     }
+
+    set('frequencies', preset.frequencies_GHz.join(', '));
+    set('tx_M', preset.antenna.tx_M.join(', '));
+    set('rx_N', preset.antenna.rx_N.join(', '));
+    set('tx_array_geom', preset.antenna.tx_array_geom);
+    set('rx_array_geom', preset.antenna.rx_array_geom);
 }
 
-function updateActiveNavLink(activeId) {
-    const navLinks = document.querySelectorAll('.nav-link');
-    navLinks.forEach(link => {
-        link.classList.remove('active');
-        if (link.getAttribute('href') === `#${activeId}`) {
-            link.classList.add('active');
-        }
+// Carriers already in the list are not repeated
+function addScenarioFrequencies(form, frequencies) {
+    const input = form.elements.frequencies;
+    const current = input.value.split(/[\s,;]+/).filter(Boolean);
+    frequencies.map(String).forEach(value => {
+        if (!current.some(item => Number(item) === Number(value))) current.push(value);
     });
+    input.value = current.join(', ');
+    renderScenario(form);
 }
 
-// Mobile menu functionality
-function initializeMobileMenu() {
-    const hamburger = document.getElementById('hamburger');
-    const navMenu = document.getElementById('nav-menu');
-
-    hamburger.addEventListener('click', function() {
-        hamburger.classList.toggle('active');
-        navMenu.classList.toggle('active');
-    });
+// Throws with a message for the status line when a field can't be read
+function readScenarioConfig(form) {
+    const value = name => form.elements[name].value.trim();
+    const number = name => Number(value(name));
+    const layout = value('layout');
 
-    // Close menu when clicking outside
-    document.addEventListener('click', function(e) {
-        if (!hamburger.contains(e.target) && !navMenu.contains(e.target)) {
-            closeMobileMenu();
+    const config = {
+        name: slugify(value('scene_prefix')),
+        env: value('env'),
+        tx: { pos_m: [number('tx_x'), number('tx_y'), number('tx_z')], power_dBm: number('power_dBm') },
+        layout,
+        frequencies_GHz: parseNumberList(value('frequencies'), 'Carriers'),
+        bandwidth_MHz: number('bandwidth_MHz'),
+        antenna: {
+            tx_M: parseNumberList(value('tx_M'), 'tx_M'),
+            rx_N: parseNumberList(value('rx_N'), 'rx_N'),
+            tx_array_geom: value('tx_array_geom'),
+            rx_array_geom: value('rx_array_geom')
         }
+    };
+
+    if (layout === 'grid') {
+        config.grid = {
+            x_m: [number('grid_x0'), number('grid_x1')],
+            y_m: [number('grid_y0'), number('grid_y1')],
+            spacing_m: number('grid_spacing'),
+            height_m: number('grid_height')
+        };
+    } else {
+        config.route = {
+            waypoints: parseWaypoints(value('waypoints')),
+            spacing_m: number('route_spacing'),
+            height_m: number('route_height'),
+            velocity_mps: number('velocity_mps')
+        };
+    }
+    return config;
+}
+
+function renderScenario(form) {
+    const layout = form.elements.layout.value;
+    form.querySelectorAll('[data-scenario-layout]').forEach(group => {
+        group.hidden = group.getAttribute('data-scenario-layout') !== layout;
     });
+
+    const issuesContainer = document.getElementById('scenario-issues');
+    const sampleOutput = document.getElementById('scenario-sample');
+    const summary = document.getElementById('scenario-summary');
+
+    try {
+        scenarioState.config = readScenarioConfig(form);
+        scenarioState.points = scenarioRxPoints(scenarioState.config);
+        scenarioState.samples = buildScenarioSamples(scenarioState.config);
+    } catch (error) {
+        scenarioState.config = null;
+        scenarioState.samples = [];
+        setScenarioStatus(error.message, true);
+        setScenarioDownloadsEnabled(false);
+        issuesContainer.innerHTML = '';
+        sampleOutput.textContent = '';
+        summary.textContent = '';
+        drawScenarioMap();
+        return;
+    }
+
+    const { config, samples } = scenarioState;
+    const issues = validateScenarioSamples(samples);
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const count = `${samples.length.toLocaleString('en-US')} sample${samples.length === 1 ? '' : 's'}`;
+
+    setScenarioStatus(errors.length > 0
+        ? `${count}, but the settings below break the schema; fix them to export.`
+        : `${count}, all valid against the schema.`, errors.length > 0);
+    setScenarioDownloadsEnabled(errors.length === 0);
+
+    summary.textContent = describeScenario(config);
+    issuesContainer.innerHTML = issues.length === 0 ? '' : '<div class="validator-sample"><ul>' +
+        issues.map(issue =>
+            `<li class="${issue.severity}"><code>${escapeHtml(issue.path || '(root)')}</code> ${escapeHtml(issue.message)} ` +
+            `(${issue.count} sample${issue.count === 1 ? '' : 's'}, e.g. ${escapeHtml(issue.scene_id)})</li>`
+        ).join('') +
+        '</ul></div>';
+    sampleOutput.textContent = JSON.stringify(samples[0], null, 2);
+    drawScenarioMap();
 }
 
-function closeMobileMenu() {
-    const hamburger = document.getElementById('hamburger');
-    const navMenu = document.getElementById('nav-menu');
+function setScenarioStatus(message, isError) {
+    const status = document.getElementById('scenario-status');
+    status.textContent = message;
+    status.classList.toggle('invalid', Boolean(isError));
+}
 
-    hamburger.classList.remove('active');
-    navMenu.classList.remove('active');
+function setScenarioDownloadsEnabled(enabled) {
+    document.getElementById('scenario-download-samples').disabled = !enabled;
+    document.getElementById('scenario-download-driver').disabled = !enabled;
 }
 
-// Optimized scroll effects and animations
-function initializeScrollEffects() {
-    // Intersection Observer for fade-in animations
-    const observerOptions = {
-        threshold: 0.1,
-        rootMargin: '0px 0px -50px 0px'
-    };
+// Plan view with equal x and y scales: receivers as dots (joined along a route), tx as a triangle
+function drawScenarioMap() {
+    const canvas = document.getElementById('scenario-map');
+    const { config, points } = scenarioState;
+    if (!canvas) return;
+    if (!config) {
+        clearCanvas(canvas, 'No receiver points to show');
+        return;
+    }
 
-    const observer = new IntersectionObserver(function(entries) {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                entry.target.classList.add('animate-in');
-                // Stop observing once animated
-                observer.unobserve(entry.target);
-            }
-        });
-    }, observerOptions);
+    const prepared = prepareCanvas(canvas);
+    if (!prepared) return;
+    const { ctx, width, height, colors } = prepared;
 
-    // Progressive element selection to reduce DOM queries
-    requestIdleCallback(function() {
-        const animatedElements = document.querySelectorAll('.feature-card, .model-card, .benchmark-metric, .doc-card');
-        animatedElements.forEach(el => {
-            // Add fade-in class initially
-            el.classList.add('fade-in');
-            observer.observe(el);
-        });
+    const xs = points.map(point => point[0]).concat(config.tx.pos_m[0]);
+    const ys = points.map(point => point[1]).concat(config.tx.pos_m[1]);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const pad = 24;
+    const scale = Math.min((width - 2 * pad) / (maxX - minX || 1), (height - 2 * pad - 16) / (maxY - minY || 1));
+    const toX = x => width / 2 + (x - (minX + maxX) / 2) * scale;
+    const toY = y => (height - 16) / 2 - (y - (minY + maxY) / 2) * scale;
+
+    if (config.layout === 'route') {
+        ctx.beginPath();
+        config.route.waypoints.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(toX(x), toY(y)) : ctx.lineTo(toX(x), toY(y))));
+        ctx.stroke();
+    }
+
+    ctx.fillStyle = colors.series;
+    const radius = points.length > 2000 ? 1 : 2.5;
+    points.forEach(([x, y]) => {
+        ctx.beginPath();
+        ctx.arc(toX(x), toY(y), radius, 0, 2 * Math.PI);
+        ctx.fill();
     });
+
+    const [tx, ty] = [toX(config.tx.pos_m[0]), toY(config.tx.pos_m[1])];
+    ctx.fillStyle = colors.marker;
+    ctx.beginPath();
+    ctx.moveTo(tx, ty - 8);
+    ctx.lineTo(tx + 7, ty + 5);
+    ctx.lineTo(tx - 7, ty + 5);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'left';
+    ctx.fillText(`tx (z ${config.tx.pos_m[2]} m) · ${points.length} rx points · ` +
+        `${roundTo(maxX - minX, 1)} × ${roundTo(maxY - minY, 1)} m`, pad, height - 6);
+    canvas.setAttribute('aria-label', `Plan view: transmitter and ${points.length} receiver points ` +
+        `over ${roundTo(maxX - minX, 1)} by ${roundTo(maxY - minY, 1)} metres`);
 }
 
-// Code tabs functionality
-function initializeCodeTabs() {
-    const codeTabs = document.querySelectorAll('.code-tab');
-    const codeBlocks = document.querySelectorAll('.code-block');
+function downloadScenarioSamples() {
+    const { config, samples } = scenarioState;
+    if (!config || samples.length === 0) return;
 
-    codeTabs.forEach(tab => {
-        tab.addEventListener('click', function() {
-            const targetTab = this.getAttribute('data-tab');
+    downloadFile(`${config.name}.jsonl`, samplesToJsonl(samples), 'application/x-ndjson');
+    trackEvent('Scenario', 'download', `${samples.length} samples`);
+}
 
-            // Remove active class from all tabs and blocks
-            codeTabs.forEach(t => t.classList.remove('active'));
-            codeBlocks.forEach(block => block.classList.remove('active'));
+function downloadScenarioDriver(form) {
+    const { config } = scenarioState;
+    if (!config) return;
 
-            // Add active class to clicked tab and corresponding block
-            this.classList.add('active');
-            const targetBlock = document.getElementById(targetTab);
-            if (targetBlock) {
-                targetBlock.classList.add('active');
-            }
-        });
-    });
+    const tasks = [...form.querySelectorAll('input[name="task"]:checked')].map(input => input.value);
+    if (tasks.length === 0) {
+        setScenarioStatus('Pick at least one task for the driver to predict.', true);
+        return;
+    }
+
+    downloadFile(`${config.name}-driver.py`, buildPythonDriver(config, `${config.name}.jsonl`, tasks), 'text/x-python');
+    trackEvent('Scenario', 'driver', tasks.join(','));
 }
 
 // Optimized animation utilities
@@ -189,16 +3548,6 @@ function initializeAnimations() {
     // Trigger progressive loading state
     document.documentElement.style.setProperty('--load-state', '1');
 
-    // Skip heavy animations on slower devices
-    const isLowPowerDevice = navigator.hardwareConcurrency <= 2 ||
-                            navigator.deviceMemory <= 2 ||
-                            /Android.*Chrome\/([0-7]\d|8[01])/.test(navigator.userAgent);
-
-    if (isLowPowerDevice) {
-        document.body.classList.add('reduced-motion');
-        return;
-    }
-
     // Enable will-change for active elements only
     const enableWillChange = (elements) => {
         elements.forEach(el => {
@@ -212,30 +3561,21 @@ function initializeAnimations() {
         });
     };
 
-    requestIdleCallback(() => {
+    scheduleIdle(() => {
         const hoverElements = document.querySelectorAll('.feature-card, .model-card, .doc-card');
         enableWillChange(hoverElements);
     });
 }
 
-// Optimized parallax effects
+// Parallax on .wave-animation, only while the motion policy allows it
 function initializeParallax() {
-    // Skip parallax on mobile or low-power devices
-    if (window.innerWidth < 768 ||
-        ('ontouchstart' in window) ||
-        navigator.hardwareConcurrency <= 2) {
-        return;
-    }
-
-    let ticking = false;
     const parallaxElements = document.querySelectorAll('.wave-animation');
-
-    // Cache element references
     if (parallaxElements.length === 0) return;
 
+    let ticking = false;
+
     function updateParallax() {
-        const scrolled = window.pageYOffset;
-        const rate = scrolled * -0.3; // Reduced intensity
+        const rate = window.pageYOffset * -0.3; // Reduced intensity
 
         parallaxElements.forEach(element => {
             element.style.transform = `translate3d(0, ${rate}px, 0)`;
@@ -251,11 +3591,68 @@ function initializeParallax() {
         }
     }
 
-    // Use passive event listener
-    window.addEventListener('scroll', requestTick, { passive: true });
+    function applyMotion(reduced) {
+        if (reduced) {
+            window.removeEventListener('scroll', requestTick);
+            parallaxElements.forEach(element => {
+                element.style.transform = '';
+            });
+        } else {
+            // Use passive event listener
+            window.addEventListener('scroll', requestTick, { passive: true });
+            requestTick();
+        }
+    }
+
+    if (typeof onMotionChange === 'function') onMotionChange(applyMotion);
+    applyMotion(isMotionReduced());
+}
+
+function isMotionReduced() {
+    return typeof motionReduced === 'function' ? motionReduced() : false;
 }
 
 // Utility functions
+function fetchJSON(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`${url}: HTTP ${response.status}`);
+        }
+        return response.json();
+    });
+}
+
+function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        return navigator.clipboard.writeText(text);
+    }
+
+    // Fallback for insecure contexts (e.g. a LAN dev server)
+    return new Promise((resolve, reject) => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        copied ? resolve() : reject(new Error('Copy command failed'));
+    });
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function throttle(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -268,6 +3665,35 @@ function throttle(func, wait) {
     };
 }
 
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Keep in sync with slugify() in scripts/build-search-index.js
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9\s-]/g, '')
+        .replace(/\s+/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '') || 'section';
+}
+
+function isEditableTarget(element) {
+    return element instanceof HTMLElement &&
+        (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName));
+}
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -331,73 +3757,270 @@ function supportsFeature(feature) {
     }
 }
 
-// Fallbacks for older browsers
-if (!supportsFeature('smoothScroll')) {
-    // Polyfill for smooth scrolling
-    const navLinks = document.querySelectorAll('.nav-link');
-    navLinks.forEach(link => {
-        link.addEventListener('click', function(e) {
-            e.preventDefault();
-            const targetId = this.getAttribute('href');
-            if (targetId.startsWith('#')) {
-                const targetElement = document.querySelector(targetId);
-                if (targetElement) {
-                    const offsetTop = targetElement.offsetTop - 70;
-
-                    // Smooth scroll polyfill
-                    const start = window.pageYOffset;
-                    const distance = offsetTop - start;
-                    const duration = 800;
-                    let startTime = null;
-
-                    function animation(currentTime) {
-                        if (startTime === null) startTime = currentTime;
-                        const timeElapsed = currentTime - startTime;
-                        const run = ease(timeElapsed, start, distance, duration);
-                        window.scrollTo(0, run);
-                        if (timeElapsed < duration) requestAnimationFrame(animation);
-                    }
-
-                    function ease(t, b, c, d) {
-                        t /= d / 2;
-                        if (t < 1) return c / 2 * t * t + b;
-                        t--;
-                        return -c / 2 * (t * (t - 2) - 1) + b;
-                    }
-
-                    requestAnimationFrame(animation);
-                }
+// Initialize performance optimizations after DOM load
+document.addEventListener('DOMContentLoaded', initializePerformanceOptimizations);
+
+// Analytics - opt-in, batched, queued offline in IndexedDB (analytics-queue.js)
+// Configure the collector with <meta name="analytics-endpoint" content="https://...">;
+// with no endpoint nothing is recorded and no consent banner is shown.
+const ANALYTICS_CONSENT_KEY = 'chanfm-analytics-consent';
+const ANALYTICS_BATCH_SIZE = 20;
+const ANALYTICS_FLUSH_DELAY = 5000;
+
+const analyticsState = {
+    buffer: [],
+    flushTimer: null,
+    session: null,
+    // Consent given on this page, for when storage is blocked and it can't be saved
+    consent: null
+};
+
+function analyticsEndpoint() {
+    // localStorage override points a single browser at scripts/analytics-server.js
+    return readStorage('localStorage', 'chanfm-analytics-endpoint') ||
+        document.querySelector('meta[name="analytics-endpoint"]')?.content || '';
+}
+
+// Storage can be blocked (privacy mode, disabled cookies), and these run on every
+// tracked click, so reads fall back to null and failed writes are dropped. The storage
+// is named rather than passed: merely reading window.localStorage can throw.
+function readStorage(area, key) {
+    try {
+        return window[area].getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeStorage(area, key, value) {
+    try {
+        window[area].setItem(key, value);
+    } catch (error) {
+        // Not persisted; callers keep their own copy for this page
+    }
+}
+
+function analyticsConsent() {
+    return readStorage('localStorage', ANALYTICS_CONSENT_KEY) ?? analyticsState.consent;
+}
+
+function doNotTrack() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+function analyticsEnabled() {
+    return Boolean(analyticsEndpoint()) && !doNotTrack() &&
+        analyticsConsent() === 'granted';
+}
+
+function trackEvent(category, action, label, value) {
+    if (!analyticsEnabled()) return;
+
+    // Per-tab session id only; nothing identifies the visitor across visits
+    if (!analyticsState.session) {
+        analyticsState.session = readStorage('sessionStorage', 'chanfm-analytics-session') ||
+            Math.random().toString(36).slice(2, 10);
+        writeStorage('sessionStorage', 'chanfm-analytics-session', analyticsState.session);
+    }
+
+    analyticsState.buffer.push({
+        category,
+        action,
+        label: label ?? null,
+        value: value ?? null,
+        page: location.pathname,
+        docsVersion: currentDocsVersion(),
+        session: analyticsState.session,
+        time: new Date().toISOString()
+    });
+
+    if (analyticsState.buffer.length >= ANALYTICS_BATCH_SIZE) {
+        flushAnalytics();
+    } else if (!analyticsState.flushTimer) {
+        analyticsState.flushTimer = setTimeout(flushAnalytics, ANALYTICS_FLUSH_DELAY);
+    }
+}
+
+function flushAnalytics() {
+    clearTimeout(analyticsState.flushTimer);
+    analyticsState.flushTimer = null;
+    if (analyticsState.buffer.length === 0) return;
+
+    const endpoint = analyticsEndpoint();
+    const events = analyticsState.buffer.splice(0);
+
+    if (!navigator.onLine || typeof postAnalyticsBatch !== 'function') {
+        queueAnalyticsBatch(endpoint, events);
+        return;
+    }
+
+    postAnalyticsBatch(endpoint, events).catch(() => queueAnalyticsBatch(endpoint, events));
+}
+
+function queueAnalyticsBatch(endpoint, events) {
+    if (typeof enqueueAnalyticsBatch !== 'function' || !('indexedDB' in window)) return;
+
+    enqueueAnalyticsBatch({ endpoint, events })
+        .then(requestAnalyticsSync)
+        .catch(error => console.warn('Could not queue analytics:', error));
+}
+
+// Let the service worker send the queue once we're back online
+function requestAnalyticsSync() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync?.register('analytics-flush'))
+        .catch(() => {});
+}
+
+function initializeAnalytics() {
+    if (!analyticsEndpoint() || doNotTrack()) return;
+
+    if (analyticsConsent() === null) {
+        showConsentBanner();
+    }
+
+    // Don't lose buffered events when the tab closes or goes to the background
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            reportSectionDwell();
+            flushAnalytics();
+        } else {
+            // Time spent in a background tab doesn't count
+            dwellState.visible.forEach((since, name) => dwellState.visible.set(name, Date.now()));
+        }
+    });
+
+    // Without Background Sync, nudge the worker (or flush here) when connectivity returns
+    window.addEventListener('online', () => {
+        if (!analyticsEnabled()) return;
+        if (navigator.serviceWorker?.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'FLUSH_ANALYTICS' });
+        } else if (typeof flushAnalyticsQueue === 'function') {
+            flushAnalyticsQueue().catch(() => {});
+        }
+    });
+
+    initializeSectionDwell();
+}
+
+function showConsentBanner() {
+    if (document.querySelector('.consent-banner')) return;
+
+    const banner = document.createElement('div');
+    banner.className = 'consent-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', 'Analytics consent');
+    banner.innerHTML = '<p><strong>Help us improve the docs?</strong> ' +
+        'We\'d like to count which pages, tabs and snippets get used. No cookies and no personal data; ' +
+        'you can change this any time in the offline settings.</p>' +
+        '<div class="consent-actions">' +
+            '<button type="button" class="btn btn-outline" data-consent="granted">Allow</button>' +
+            '<button type="button" class="btn btn-outline" data-consent="denied">No thanks</button>' +
+        '</div>';
+    document.body.appendChild(banner);
+
+    banner.addEventListener('click', e => {
+        const choice = e.target.closest('[data-consent]')?.getAttribute('data-consent');
+        if (!choice) return;
+
+        setAnalyticsConsent(choice === 'granted');
+        banner.remove();
+    });
+}
+
+function setAnalyticsConsent(granted) {
+    analyticsState.consent = granted ? 'granted' : 'denied';
+    writeStorage('localStorage', ANALYTICS_CONSENT_KEY, analyticsState.consent);
+    if (granted) {
+        trackEvent('Analytics', 'consent', 'granted');
+    } else {
+        analyticsState.buffer = [];
+    }
+}
+
+// Section dwell time: seconds each section spends on screen while the tab is visible
+const dwellState = {
+    visible: new Map(),
+    totals: new Map()
+};
+
+function initializeSectionDwell() {
+    if (!('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver(entries => {
+        const now = Date.now();
+        entries.forEach(entry => {
+            const name = dwellSectionName(entry.target);
+            if (entry.isIntersecting) {
+                dwellState.visible.set(name, now);
+            } else if (dwellState.visible.has(name)) {
+                addDwell(name, now - dwellState.visible.get(name));
+                dwellState.visible.delete(name);
             }
         });
+    }, { threshold: 0.5 });
+
+    document.querySelectorAll('section[id], .doc-section').forEach(section => {
+        if (dwellSectionName(section)) observer.observe(section);
     });
 }
 
-// Initialize performance optimizations after DOM load
-document.addEventListener('DOMContentLoaded', initializePerformanceOptimizations);
+function dwellSectionName(section) {
+    return section.id || section.querySelector('h2[id]')?.id || '';
+}
+
+function addDwell(name, ms) {
+    dwellState.totals.set(name, (dwellState.totals.get(name) || 0) + ms);
+}
+
+function reportSectionDwell() {
+    const now = Date.now();
+    dwellState.visible.forEach((since, name) => {
+        addDwell(name, now - since);
+        dwellState.visible.set(name, now);
+    });
 
-// Analytics and tracking (placeholder)
-function trackEvent(category, action, label) {
-    // Placeholder for analytics tracking
-    console.log('Track event:', category, action, label);
+    dwellState.totals.forEach((ms, name) => {
+        // Scrolling past a section isn't reading it
+        if (ms >= 2000) trackEvent('Dwell', 'section', name, Math.round(ms / 1000));
+    });
+    dwellState.totals.clear();
 }
 
 // Track important interactions
 document.addEventListener('click', function(e) {
-    if (e.target.matches('.btn-primary')) {
-        trackEvent('CTA', 'click', 'Primary Button');
+    const target = e.target.closest('a, button');
+    if (!target) return;
+
+    if (target.matches('.btn-primary')) {
+        trackEvent('CTA', 'click', target.textContent.trim());
     }
-    if (e.target.matches('.github-link')) {
+    if (target.matches('.github-link')) {
         trackEvent('Navigation', 'click', 'GitHub Link');
     }
-    if (e.target.matches('.model-link')) {
+    if (target.matches('.model-link')) {
         trackEvent('Models', 'click', 'Download Model');
     }
+    if (target.matches('.doc-card, .next-step-card')) {
+        trackEvent('Docs', 'card', target.getAttribute('href'));
+    }
 });
 
 // Keyboard navigation
 document.addEventListener('keydown', function(e) {
     if (e.key === 'Escape') {
         closeMobileMenu();
+        closeSearchPalette();
+        closeOfflinePanel();
+    }
+
+    // Search palette shortcuts
+    if ((e.key === '/' && !isEditableTarget(e.target)) ||
+        (e.key?.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey))) {
+        e.preventDefault();
+        openSearchPalette();
     }
 
     // Tab navigation enhancement
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// Local stand-in for the analytics collector
+// Usage: node scripts/analytics-server.js [port]
+//
+// Point your browser at it from the devtools console on the site, then accept the consent banner:
+//   localStorage.setItem('chanfm-analytics-endpoint', 'http://localhost:8787/events')
+//
+// Received events are appended to .dev/analytics-events.jsonl; GET /summary
+// returns counts per category/action/label.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const OUTPUT = path.resolve(__dirname, '..', '.dev', 'analytics-events.jsonl');
+const MAX_BODY = 64 * 1024;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function startServer() {
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+
+    http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            send(res, 204);
+        } else if (req.method === 'POST' && req.url === '/events') {
+            receiveEvents(req, res);
+        } else if (req.method === 'GET' && req.url === '/summary') {
+            send(res, 200, summarize());
+        } else {
+            send(res, 404, { error: 'Not found' });
+        }
+    }).listen(PORT, () => {
+        console.log(`Analytics stand-in listening on http://localhost:${PORT}/events`);
+        console.log(`Writing events to ${path.relative(process.cwd(), OUTPUT)}`);
+    });
+}
+
+function receiveEvents(req, res) {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY) {
+            send(res, 413, { error: 'Batch too large' });
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        let events;
+        try {
+            events = JSON.parse(body).events;
+            if (!Array.isArray(events)) throw new Error('"events" must be an array');
+        } catch (error) {
+            send(res, 400, { error: error.message });
+            return;
+        }
+
+        fs.appendFileSync(OUTPUT, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+        events.forEach(event => {
+            console.log(`${event.time} ${event.page} ${event.category}/${event.action}` +
+                (event.label !== null ? ` ${event.label}` : '') +
+                (event.value !== null ? ` = ${event.value}` : ''));
+        });
+        send(res, 200, { received: events.length });
+    });
+}
+
+function summarize() {
+    if (!fs.existsSync(OUTPUT)) return {};
+
+    const counts = {};
+    fs.readFileSync(OUTPUT, 'utf8').split('\n').filter(Boolean).forEach(line => {
+        const event = JSON.parse(line);
+        const key = [event.category, event.action, event.label].filter(part => part !== null).join(' / ');
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body, null, 2));
+}
+
+startServer();
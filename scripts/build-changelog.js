@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// Build the Atom feed from releases.json and copy the latest version into the places
+// that show it before any script runs: model badges and the docs sidebar
+// Usage: node scripts/build-changelog.js
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const RELEASES_FILE = path.join(ROOT, 'releases.json');
+const FEED_FILE = path.join(ROOT, 'feed.xml');
+const SITE_URL = 'https://chanfm.github.io/';
+
+const CHANGE_HEADINGS = {
+    added: 'Added',
+    changed: 'Changed',
+    fixed: 'Fixed'
+};
+
+function buildChangelog() {
+    const { releases } = JSON.parse(fs.readFileSync(RELEASES_FILE, 'utf8'));
+    const problems = checkReleases(releases);
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`releases.json: ${problem}`));
+        process.exit(1);
+    }
+
+    writeIfChanged(FEED_FILE, buildFeed(releases));
+    syncModels(releases);
+    syncFile('getting-started.html', html => html.replace(
+        /(<div class="version-info" id="version-info">[\s\S]*?<span class="version-badge">)[^<]*(<\/span>\s*<br><small>Released: )[^<]*(<\/small>)/,
+        `$1v${releases[0].version}$2${releases[0].date.slice(0, 7)}$3`
+    ));
+
+    // Docs snapshots are taken separately; flag a release that has none yet
+    const versions = JSON.parse(fs.readFileSync(path.join(ROOT, 'versions.json'), 'utf8'));
+    if (versions.latest !== releases[0].version) {
+        console.warn(`versions.json: latest docs are ${versions.latest}; ` +
+            `run node scripts/snapshot-docs.js ${releases[0].version} ${releases[0].date.slice(0, 7)}`);
+    }
+}
+
+// Newest first, one entry per version, dates as YYYY-MM-DD
+function checkReleases(releases) {
+    const problems = [];
+    if (!Array.isArray(releases) || releases.length === 0) return ['"releases" must list at least one release'];
+
+    const seen = new Set();
+    releases.forEach((release, i) => {
+        const label = release.version || `entry ${i + 1}`;
+        if (!/^\d+\.\d+\.\d+(-[\w.]+)?$/.test(release.version || '')) problems.push(`${label}: version must look like 0.2.0 or 0.2.0-beta`);
+        if (seen.has(release.version)) problems.push(`${label}: listed twice`);
+        seen.add(release.version);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(release.date || '')) problems.push(`${label}: date must be YYYY-MM-DD`);
+        if (!release.title) problems.push(`${label}: missing title`);
+        Object.keys(release.changes || {}).forEach(type => {
+            if (!(type in CHANGE_HEADINGS)) problems.push(`${label}: unknown change type "${type}"`);
+        });
+        if (i > 0 && release.date > releases[i - 1].date) problems.push(`${label}: releases must be listed newest first`);
+    });
+    return problems;
+}
+
+function buildFeed(releases) {
+    const entries = releases.map(release => {
+        const link = `${SITE_URL}changelog.html#${releaseAnchor(release.version)}`;
+        return [
+            '  <entry>',
+            `    <title>v${escapeXml(release.version)}: ${escapeXml(release.title)}</title>`,
+            `    <id>${link}</id>`,
+            `    <link href="${link}"/>`,
+            `    <updated>${release.date}T00:00:00Z</updated>`,
+            release.summary ? `    <summary>${escapeXml(release.summary)}</summary>` : null,
+            `    <content type="html">${escapeXml(releaseHtml(release))}</content>`,
+            '  </entry>'
+        ].filter(line => line !== null).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        '  <title>ChanFM releases</title>',
+        '  <subtitle>New ChanFM models, API changes and ChannelBench updates</subtitle>',
+        `  <id>${SITE_URL}feed.xml</id>`,
+        `  <link rel="self" href="${SITE_URL}feed.xml"/>`,
+        `  <link href="${SITE_URL}changelog.html"/>`,
+        `  <updated>${releases[0].date}T00:00:00Z</updated>`,
+        '  <author><name>ChanFM</name></author>',
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+function releaseHtml(release) {
+    const sections = Object.entries(release.changes || {})
+        .filter(([, items]) => items.length > 0)
+        .map(([type, items]) => `<h3>${CHANGE_HEADINGS[type]}</h3><ul>` +
+            items.map(item => `<li>${escapeXml(item)}</li>`).join('') + '</ul>');
+    const link = release.url ? `<p><a href="${escapeXml(release.url)}">Release on GitHub</a></p>` : '';
+    return (release.summary ? `<p>${escapeXml(release.summary)}</p>` : '') + sections.join('') + link;
+}
+
+// Each model's badge shows the newest release that ships it
+function syncModels(releases) {
+    const file = path.join(ROOT, 'models.json');
+    const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    registry.models.forEach(model => {
+        const release = releases.find(entry => (entry.models || []).includes(model.id));
+        if (!release) return;
+
+        model.status = 'released';
+        model.release = { ...model.release, version: `v${release.version}` };
+        if (!model.release.url) model.release.url = release.url;
+    });
+    writeIfChanged(file, JSON.stringify(registry, null, 2) + '\n');
+}
+
+function syncFile(name, update) {
+    const file = path.join(ROOT, name);
+    writeIfChanged(file, update(fs.readFileSync(file, 'utf8')));
+}
+
+function writeIfChanged(file, content) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    const name = path.relative(ROOT, file);
+    if (current === content) {
+        console.log(`${name} is up to date`);
+        return;
+    }
+    fs.writeFileSync(file, content);
+    console.log(`Wrote ${name}`);
+}
+
+// Keep in sync with releaseAnchor() in script.js
+function releaseAnchor(version) {
+    return `v${version.replace(/\./g, '-')}`;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+buildChangelog();
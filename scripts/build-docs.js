@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+// Render the Markdown pages in docs-src/ into doc pages that share getting-started.html's
+// navbar, sidebar and footer, then list them in sitemap.xml and versions.json.
+// Run after build-changelog.js, which syncs the version badge copied from the template,
+// and before build-precache.js, which picks the pages up for the service worker.
+// Usage: node scripts/build-docs.js
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'docs-src');
+const TEMPLATE = 'getting-started.html';
+const SITE_URL = 'https://chanfm.github.io/';
+
+// Syntax highlighting rules script.js has; other fence languages are auto-detected
+const HIGHLIGHT_LANGUAGES = ['python', 'bash', 'json'];
+
+function buildDocs() {
+    const template = fs.readFileSync(path.join(ROOT, TEMPLATE), 'utf8');
+    const { releases } = JSON.parse(fs.readFileSync(path.join(ROOT, 'releases.json'), 'utf8'));
+    const sources = fs.readdirSync(SOURCE_DIR).filter(file => file.endsWith('.md')).sort();
+    const pages = [];
+    let failed = 0;
+
+    sources.forEach(source => {
+        try {
+            const page = buildPage(source, template, releases);
+            writeIfChanged(path.join(ROOT, page.file), page.html);
+            pages.push(page);
+        } catch (error) {
+            console.error(`docs-src/${source}: ${error.message}`);
+            failed++;
+        }
+    });
+    if (failed > 0) process.exit(1);
+
+    syncSitemap(pages);
+    syncVersions(pages);
+}
+
+function buildPage(source, template, releases) {
+    const { meta, body } = parseFrontMatter(fs.readFileSync(path.join(SOURCE_DIR, source), 'utf8'));
+    if (!meta.title) throw new Error('front matter needs a title');
+
+    // version: the release the page was written for; older pages are flagged for review
+    const version = meta.version || releases[0].version;
+    const release = releases.find(entry => entry.version === version);
+    if (!release) throw new Error(`version ${version} is not in releases.json`);
+    if (version !== releases[0].version) {
+        console.warn(`docs-src/${source}: written for v${version}; the latest release is v${releases[0].version}`);
+    }
+
+    const file = source.replace(/\.md$/, '.html');
+    const html = fillTemplate(template, {
+        source,
+        file,
+        title: meta.title,
+        subtitle: meta.subtitle,
+        description: meta.description || `${meta.title} - ChanFM documentation`,
+        i18n: meta.i18n,
+        version,
+        released: release.date.slice(0, 7),
+        latest: version === releases[0].version,
+        content: renderMarkdown(body)
+    });
+
+    return { file, html, updated: meta.updated || release.date };
+}
+
+// Leading "---" block of "key: value" lines
+function parseFrontMatter(text) {
+    const match = text.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n?/);
+    if (!match) throw new Error('missing front matter (a --- block with at least a title)');
+
+    const meta = {};
+    match[1].split('\n').forEach((line, i) => {
+        if (line.trim() === '') return;
+        const pair = line.match(/^([\w-]+):\s*(.*)$/);
+        if (!pair) throw new Error(`front matter line ${i + 2}: expected "key: value"`);
+        meta[pair[1]] = pair[2].replace(/^(["'])(.*)\1$/, '$2');
+    });
+    return { meta, body: text.replace(/\r\n/g, '\n').slice(match[0].length) };
+}
+
+// Swap the page-specific parts of the template. Each pattern must match once; if
+// getting-started.html changes shape, this fails loudly rather than emitting half a page.
+function fillTemplate(template, page) {
+    const steps = [
+        ['doctype', /<!DOCTYPE html>\n/i, () =>
+            `<!DOCTYPE html>\n<!-- Generated by scripts/build-docs.js from docs-src/${page.source}; edit that file instead -->\n`],
+        ['title', /<title[^>]*>[^<]*<\/title>/, () =>
+            `<title${i18nAttr(page.i18n && `page.${page.i18n}.title`)}>${escapeHtml(page.title)} - ChanFM</title>`],
+        ['description', /<meta name="description" content="[^"]*">/, () =>
+            `<meta name="description" content="${escapeHtml(page.description)}">`],
+        // Written into the template by build-i18n.js
+        ['language alternates', /(<link rel="alternate" hreflang="[^"]+" href="https:\/\/chanfm\.github\.io\/)getting-started\.html/g,
+            (match, start) => `${start}${page.file}`],
+        ['active nav link', /(<a href="getting-started\.html" class="nav-link) active"/, (match, start) => `${start}"`],
+        ['page heading', /<h1 class="section-title"[^>]*>[^<]*<\/h1>/, () =>
+            `<h1 class="section-title"${i18nAttr(page.i18n && `docs.${page.i18n}.title`)}>${escapeHtml(page.title)}</h1>`],
+        ['subtitle', /\n *<p class="section-subtitle"[^>]*>[^<]*<\/p>/, match => page.subtitle
+            ? match.replace(/<p[\s\S]*$/, `<p class="section-subtitle"${i18nAttr(page.i18n && `docs.${page.i18n}.text`)}>${escapeHtml(page.subtitle)}</p>`)
+            : ''],
+        ['docs content', /(<div class="docs-content">)[\s\S]*?(\n {20}<\/div>\n\n {20}<!-- Sidebar -->)/, (match, start, end) =>
+            `${start}\n${indent(page.content, 24)}${end}`],
+        ['version badge', /(<strong>)[^<]*(<\/strong><br>\s*<span class="version-badge">)[^<]*(<\/span>\s*<br><small>Released: )[^<]*(<\/small>)/,
+            (match, a, b, c, d) => `${a}${page.latest ? 'Latest Version' : 'Written For'}${b}v${page.version}${c}${page.released}${d}`]
+    ];
+
+    return steps.reduce((html, [what, pattern, replace]) => {
+        if (!pattern.test(html)) throw new Error(`${TEMPLATE} has no ${what}; update fillTemplate() in build-docs.js`);
+        return html.replace(pattern, replace);
+    }, template);
+}
+
+function i18nAttr(id) {
+    return id ? ` data-i18n="${id}"` : '';
+}
+
+// Markdown subset: ## to #### headings (each ## opens a .doc-section), paragraphs, lists,
+// pipe tables, > tip boxes, raw HTML blocks and ``` fences. Consecutive fences with a
+// tab="Label" become one .code-tab group.
+function renderMarkdown(text) {
+    const ids = new Set();
+    const blocks = parseBlocks(text.split('\n'));
+    if (blocks.some(block => block.type === 'heading' && block.level === 1)) {
+        throw new Error('use the front matter title instead of a # heading');
+    }
+
+    // Heading ids are assigned in the browser; reserve them so tab ids don't collide
+    blocks.filter(block => block.type === 'heading').forEach(block => ids.add(slugify(block.text)));
+
+    const sections = [];
+    blocks.forEach(block => {
+        if (block.type === 'heading' && block.level === 2 || sections.length === 0) sections.push([]);
+        sections[sections.length - 1].push(block);
+    });
+
+    return sections.map(section =>
+        '<div class="doc-section">\n' + indent(renderBlocks(section, ids), 4) + '\n</div>'
+    ).join('\n\n');
+}
+
+function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    const startsBlock = line => /^(```|#{1,4}\s|>|[-*]\s|\d+\.\s|\||<[a-z!])/i.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+        } else if (line.startsWith('```')) {
+            const info = line.slice(3).trim();
+            const end = lines.indexOf('```', i + 1);
+            if (end === -1) throw new Error(`unclosed code fence at "${line}"`);
+            blocks.push({
+                type: 'code',
+                lang: info.split(/\s/)[0] || null,
+                tab: (info.match(/tab=(?:"([^"]+)"|(\S+))/) || []).slice(1).find(Boolean) || null,
+                code: lines.slice(i + 1, end).join('\n')
+            });
+            i = end + 1;
+        } else if (/^#{1,4}\s/.test(line)) {
+            const [, hashes, text] = line.match(/^(#+)\s+(.*)$/);
+            const icon = text.match(/\s*\{icon=([\w-]+)\}$/);
+            blocks.push({ type: 'heading', level: hashes.length, text: icon ? text.slice(0, icon.index) : text, icon: icon?.[1] });
+            i++;
+        } else if (line.startsWith('>')) {
+            const quoted = [];
+            while (i < lines.length && lines[i].startsWith('>')) quoted.push(lines[i++].replace(/^>\s?/, ''));
+            blocks.push({ type: 'tip', blocks: parseBlocks(quoted) });
+        } else if (/^([-*]|\d+\.)\s/.test(line)) {
+            const ordered = /^\d/.test(line);
+            const items = [];
+            while (i < lines.length && (/^([-*]|\d+\.)\s/.test(lines[i]) || /^\s{2,}\S/.test(lines[i]))) {
+                if (/^\s/.test(lines[i])) {
+                    items[items.length - 1] += ' ' + lines[i].trim();
+                } else {
+                    items.push(lines[i].replace(/^([-*]|\d+\.)\s+/, ''));
+                }
+                i++;
+            }
+            blocks.push({ type: 'list', ordered, items });
+        } else if (line.startsWith('|') && /^\|?\s*:?-{3,}/.test(lines[i + 1] || '')) {
+            const rows = [];
+            while (i < lines.length && lines[i].startsWith('|')) rows.push(splitRow(lines[i++]));
+            blocks.push({ type: 'table', head: rows[0], rows: rows.slice(2) });
+        } else if (/^<[a-z!]/i.test(line)) {
+            const html = [];
+            while (i < lines.length && lines[i].trim() !== '') html.push(lines[i++]);
+            blocks.push({ type: 'html', html: html.join('\n') });
+        } else {
+            const text = [];
+            while (i < lines.length && lines[i].trim() !== '' && (text.length === 0 || !startsBlock(lines[i]))) {
+                text.push(lines[i++].trim());
+            }
+            blocks.push({ type: 'paragraph', text: text.join(' ') });
+        }
+    }
+    return blocks;
+}
+
+function splitRow(line) {
+    return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+}
+
+function renderBlocks(blocks, ids) {
+    const html = [];
+    for (let i = 0; i < blocks.length; i++) {
+        const block = blocks[i];
+        if (block.type === 'code') {
+            // Gather the run of tabbed fences that starts here
+            const group = [block];
+            while (block.tab && blocks[i + 1]?.type === 'code' && blocks[i + 1].tab) group.push(blocks[++i]);
+            html.push(renderCode(group, ids));
+        } else {
+            html.push(renderBlock(block, ids));
+        }
+    }
+    return html.join('\n\n');
+}
+
+function renderBlock(block, ids) {
+    switch (block.type) {
+        case 'heading': {
+            const icon = block.icon || (block.level === 4 && block.inTip ? 'lightbulb' : null);
+            const text = renderInline(block.text);
+            return icon
+                ? `<h${block.level}><i class="fas fa-${icon}"></i> <span>${text}</span></h${block.level}>`
+                : `<h${block.level}>${text}</h${block.level}>`;
+        }
+        case 'paragraph':
+            return `<p>${renderInline(block.text)}</p>`;
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            return `<${tag} class="feature-list">\n` +
+                block.items.map(item => `    <li>${renderInline(item)}</li>`).join('\n') +
+                `\n</${tag}>`;
+        }
+        case 'table':
+            return '<table class="comparison-table">\n' +
+                '    <thead>\n        <tr>\n' +
+                block.head.map(cell => `            <th>${renderInline(cell)}</th>`).join('\n') +
+                '\n        </tr>\n    </thead>\n    <tbody>\n' +
+                block.rows.map(row => '        <tr>\n' +
+                    row.map(cell => `            <td>${renderInline(cell)}</td>`).join('\n') +
+                    '\n        </tr>').join('\n') +
+                '\n    </tbody>\n</table>';
+        case 'tip':
+            // A #### heading inside a tip gets the lightbulb, like getting-started.html
+            block.blocks.forEach(inner => { inner.inTip = true; });
+            return '<div class="tip-box">\n' + indent(renderBlocks(block.blocks, ids), 4) + '\n</div>';
+        case 'html':
+            return block.html;
+    }
+    throw new Error(`unknown block type ${block.type}`);
+}
+
+// One fence renders as a plain .code-demo; a tabbed group gets .code-tab buttons whose
+// data-tab names the block id, as setupCodeDemo() expects
+function renderCode(group, ids) {
+    const tabbed = group[0].tab !== null;
+    const blocks = group.map((block, i) => {
+        const id = tabbed ? uniqueId(slugify(block.tab), ids) : null;
+        const lang = HIGHLIGHT_LANGUAGES.includes(block.lang) ? ` data-lang="${block.lang}"` : '';
+        return {
+            id,
+            label: block.tab,
+            html: `<div${id ? ` id="${id}"` : ''} class="code-block${i === 0 ? ' active' : ''}"${lang}>\n` +
+                `    <pre><code>${escapeHtml(block.code)}</code></pre>\n</div>`
+        };
+    });
+
+    const tabs = tabbed
+        ? '    <div class="code-tabs">\n' +
+            blocks.map((block, i) =>
+                `        <button class="code-tab${i === 0 ? ' active' : ''}" data-tab="${block.id}">${escapeHtml(block.label)}</button>`
+            ).join('\n') +
+            '\n    </div>\n'
+        : '';
+
+    return '<div class="code-demo" data-component="code-demo">\n' + tabs +
+        '    <div class="code-content">\n' +
+        indent(blocks.map(block => block.html).join('\n'), 8) +
+        '\n    </div>\n</div>';
+}
+
+function uniqueId(base, ids) {
+    let id = base;
+    for (let n = 2; ids.has(id); n++) id = `${base}-${n}`;
+    ids.add(id);
+    return id;
+}
+
+// `code`, **bold**, *emphasis* and [links](url). Code spans are set aside first so
+// their contents stay literal.
+function renderInline(text) {
+    const spans = [];
+    const withPlaceholders = text.replace(/`([^`]+)`/g, (match, code) => {
+        spans.push(`<code>${escapeHtml(code)}</code>`);
+        return `\u0000${spans.length - 1}\u0000`;
+    });
+
+    return escapeHtml(withPlaceholders)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*\s][^*]*)\*/g, '<em>$1</em>')
+        .replace(/\u0000(\d+)\u0000/g, (match, n) => spans[n]);
+}
+
+// Indent every line except the inside of <pre> blocks, whose whitespace is content
+function indent(html, spaces) {
+    const pad = ' '.repeat(spaces);
+    let inPre = false;
+    return html.split('\n').map(line => {
+        const out = inPre || line === '' ? line : pad + line;
+        if (line.includes('<pre>')) inPre = true;
+        if (line.includes('</pre>')) inPre = false;
+        return out;
+    }).join('\n');
+}
+
+// Add or refresh each page's <url> entry
+function syncSitemap(pages) {
+    const file = path.join(ROOT, 'sitemap.xml');
+    let sitemap = fs.readFileSync(file, 'utf8');
+
+    pages.forEach(page => {
+        const loc = `<loc>${SITE_URL}${page.file}</loc>`;
+        const existing = new RegExp(`(${escapeRegExp(loc)}\\s*<lastmod>)[^<]*(</lastmod>)`);
+        if (existing.test(sitemap)) {
+            sitemap = sitemap.replace(existing, `$1${page.updated}$2`);
+        } else {
+            sitemap = sitemap.replace('</urlset>', [
+                '  <url>',
+                `    ${loc}`,
+                `    <lastmod>${page.updated}</lastmod>`,
+                '    <changefreq>monthly</changefreq>',
+                '    <priority>0.7</priority>',
+                '  </url>',
+                '</urlset>'
+            ].join('\n'));
+        }
+    });
+    writeIfChanged(file, sitemap);
+}
+
+// The version switcher only offers pages the "latest" entry lists
+function syncVersions(pages) {
+    const file = path.join(ROOT, 'versions.json');
+    const versions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const latest = versions.versions.find(entry => entry.version === 'latest');
+
+    pages.forEach(page => {
+        if (!latest.files.includes(page.file)) latest.files.push(page.file);
+    });
+    writeIfChanged(file, JSON.stringify(versions, null, 2) + '\n');
+}
+
+function writeIfChanged(file, content) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    const name = path.relative(ROOT, file);
+    if (current === content) {
+        console.log(`${name} is up to date`);
+        return;
+    }
+    fs.writeFileSync(file, content);
+    console.log(`Wrote ${name}`);
+}
+
+// Keep in sync with slugify() in script.js
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9\s-]/g, '')
+        .replace(/\s+/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '') || 'section';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+buildDocs();
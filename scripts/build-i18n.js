@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+// Build i18n/en.json from the pages and report what each translation bundle is missing.
+// Also writes each page's hreflang alternates, so crawlers see them without running JS.
+// Usage: node scripts/build-i18n.js
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const I18N_DIR = path.join(ROOT, 'i18n');
+const OUTPUT = path.join(I18N_DIR, 'en.json');
+const SITE_URL = 'https://chanfm.github.io/';
+
+// Pages with data-i18n copy; planned doc pages are picked up as soon as they exist
+const PAGES = [
+    'index.html',
+    'getting-started.html',
+    'visualizer.html',
+    'scorer.html',
+    'scenario.html',
+    'changelog.html',
+    '404.html',
+    'offline.html',
+    'model-zoo.html',
+    'data-format.html',
+    'api-reference.html',
+    'examples.html'
+];
+
+// Served in place of other URLs, so they have no alternates of their own
+const NO_ALTERNATES = ['404.html', 'offline.html'];
+const ALTERNATES_PATTERN = /\n *<!-- Language alternates[^\n]*-->(\n *<link rel="alternate" hreflang="[^\n]*)+/;
+
+// Same comment syntax applyTranslations() rewrites in script.js
+const COMMENT_PATTERN = /(?:^|\s)#+\s*([^\n]+)/g;
+
+function buildI18n() {
+    const messages = {};
+    const comments = {};
+    const languages = readSiteLanguages();
+    let conflicts = 0;
+
+    PAGES.forEach(page => {
+        const file = path.join(ROOT, page);
+        if (!fs.existsSync(file)) return;
+
+        const html = fs.readFileSync(file, 'utf8');
+        if (!NO_ALTERNATES.includes(page)) {
+            writeIfChanged(file, html, syncLanguageAlternates(page, html, languages));
+        }
+        extractMessages(html).forEach(([id, text]) => {
+            if (id in messages && messages[id] !== text) {
+                console.error(`${page}: "${id}" is "${text}" here but "${messages[id]}" elsewhere`);
+                conflicts++;
+                return;
+            }
+            messages[id] = text;
+        });
+        extractComments(html).forEach(comment => {
+            comments[comment] = comment;
+        });
+    });
+
+    if (conflicts > 0) {
+        console.error('Give each distinct text its own message id');
+        process.exit(1);
+    }
+
+    fs.writeFileSync(OUTPUT, JSON.stringify({ language: 'en', messages, comments }, null, 2) + '\n');
+    console.log(`Wrote ${path.relative(ROOT, OUTPUT)} (${Object.keys(messages).length} messages, ${Object.keys(comments).length} comments)`);
+
+    fs.readdirSync(I18N_DIR)
+        .filter(name => name.endsWith('.json') && name !== 'en.json')
+        .sort()
+        .forEach(name => reportCoverage(name, messages, comments));
+}
+
+// SITE_LANGUAGES from i18n.js, which only declares things when loaded
+function readSiteLanguages() {
+    return vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'i18n.js'), 'utf8') + '\nSITE_LANGUAGES;', {});
+}
+
+// One alternate per language, pointing at the ?lang= view, plus the plain URL as x-default
+function syncLanguageAlternates(page, html, languages) {
+    const url = SITE_URL + (page === 'index.html' ? '' : page);
+    const links = languages
+        .map(language => `<link rel="alternate" hreflang="${language.lang}" href="${url}?lang=${language.code}">`)
+        .concat(`<link rel="alternate" hreflang="x-default" href="${url}">`);
+    const block = '\n    <!-- Language alternates, written by scripts/build-i18n.js -->' +
+        links.map(link => `\n    ${link}`).join('');
+
+    if (ALTERNATES_PATTERN.test(html)) return html.replace(ALTERNATES_PATTERN, block);
+    if (!/<meta name="description" content="[^"]*">/.test(html)) throw new Error(`${page} has no meta description to put the alternates after`);
+    return html.replace(/(<meta name="description" content="[^"]*">)/, `$1${block}`);
+}
+
+function writeIfChanged(file, current, content) {
+    if (current === content) return;
+    fs.writeFileSync(file, content);
+    console.log(`Wrote ${path.relative(ROOT, file)}`);
+}
+
+// Elements marked data-i18n hold plain text only
+function extractMessages(html) {
+    const pattern = /<([a-z0-9]+)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/gi;
+    return [...html.matchAll(pattern)].map(match => [match[2], toText(match[3])]);
+}
+
+function extractComments(html) {
+    const blocks = [...html.matchAll(/<pre><code[^>]*>([\s\S]*?)<\/code><\/pre>/gi)];
+    return blocks.flatMap(block =>
+        [...decodeEntities(block[1]).matchAll(COMMENT_PATTERN)].map(match => match[1].trim())
+    );
+}
+
+function reportCoverage(name, messages, comments) {
+    const bundle = JSON.parse(fs.readFileSync(path.join(I18N_DIR, name), 'utf8'));
+    const missing = Object.keys(messages).filter(id => !(id in (bundle.messages || {})));
+    const missingComments = Object.keys(comments).filter(text => !(text in (bundle.comments || {})));
+    const stale = Object.keys(bundle.messages || {}).filter(id => !(id in messages))
+        .concat(Object.keys(bundle.comments || {}).filter(text => !(text in comments)));
+
+    console.log(`${name}: ${missing.length} missing messages, ${missingComments.length} missing comments, ${stale.length} stale entries`);
+    missing.forEach(id => console.log(`  missing: ${id}`));
+    missingComments.forEach(text => console.log(`  missing comment: ${text}`));
+    stale.forEach(key => console.log(`  stale: ${key}`));
+}
+
+function toText(html) {
+    return decodeEntities(html.replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&copy;/g, '©')
+        .replace(/&times;/g, '×')
+        .replace(/&hellip;/g, '…')
+        .replace(/&mdash;/g, '—')
+        .replace(/&middot;/g, '·')
+        .replace(/&amp;/g, '&');
+}
+
+buildI18n();
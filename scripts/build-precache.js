@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Write precache-manifest.js: every file the service worker precaches, with a hash of
+// its content. sw.js installs only entries whose revision changed since the last deploy.
+// Run after the other build scripts, since it hashes their output.
+// Usage: node scripts/build-precache.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+// Site files the pages load; archived docs get their own caches from versions.json
+const DIRECTORIES = ['', 'i18n'];
+const EXTENSIONS = ['.html', '.css', '.js', '.json'];
+const EXCLUDE = [
+    'sw.js',                  // The browser checks the worker itself for updates
+    'cache-metadata.js',      // Imported by sw.js only, so checked along with it
+    'precache-manifest.js',
+    'manifest.json',
+    'i18n/en.json'            // Translators' reference; English is the HTML itself
+];
+
+function buildPrecacheManifest() {
+    const files = DIRECTORIES.flatMap(dir => fs.readdirSync(path.join(ROOT, dir))
+        .map(name => path.posix.join(dir, name))
+        .filter(file => EXTENSIONS.includes(path.extname(file)) && !EXCLUDE.includes(file))
+        .filter(file => fs.statSync(path.join(ROOT, file)).isFile()))
+        .sort();
+
+    const entries = files.map(file => ({ url: `/${file}`, revision: hashFile(file) }));
+    // The site root is index.html under another URL
+    entries.unshift({ url: '/', revision: entries.find(entry => entry.url === '/index.html').revision });
+
+    const revision = hash(entries.map(entry => `${entry.url} ${entry.revision}`).join('\n'));
+    const content = '// Generated by scripts/build-precache.js - do not edit\n' +
+        `const PRECACHE_REVISION = '${revision}';\n` +
+        'const PRECACHE_MANIFEST = [\n' +
+        entries.map(entry => `    { url: '${entry.url}', revision: '${entry.revision}' }`).join(',\n') +
+        '\n];\n';
+
+    fs.writeFileSync(OUTPUT, content);
+    console.log(`Wrote ${path.relative(ROOT, OUTPUT)} (${entries.length} entries, revision ${revision})`);
+}
+
+function hashFile(file) {
+    return hash(fs.readFileSync(path.join(ROOT, file)));
+}
+
+function hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+buildPrecacheManifest();
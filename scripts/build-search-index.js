@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+// Build search-index.json for the site search palette
+// Usage: node scripts/build-search-index.js
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'search-index.json');
+
+// Pages to index; planned doc pages are picked up as soon as they exist
+const PAGES = [
+    'index.html',
+    'getting-started.html',
+    'visualizer.html',
+    'scorer.html',
+    'scenario.html',
+    'changelog.html',
+    'model-zoo.html',
+    'data-format.html',
+    'api-reference.html',
+    'examples.html'
+];
+
+const MAX_TEXT_LENGTH = 600;
+
+function buildSearchIndex() {
+    const pages = [];
+    const entries = [];
+
+    PAGES.forEach(page => {
+        const file = path.join(ROOT, page);
+        if (!fs.existsSync(file)) {
+            console.log(`Skipping ${page} (not found)`);
+            return;
+        }
+
+        const html = fs.readFileSync(file, 'utf8');
+        const title = extractTitle(html) || page;
+        const pageEntries = extractEntries(html, page, title);
+
+        pages.push({ url: page, title });
+        entries.push(...pageEntries);
+        console.log(`Indexed ${page}: ${pageEntries.length} entries`);
+    });
+
+    fs.writeFileSync(OUTPUT, JSON.stringify({ pages, entries }, null, 2) + '\n');
+    console.log(`Wrote ${path.relative(ROOT, OUTPUT)} (${entries.length} entries)`);
+}
+
+function extractTitle(html) {
+    const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return match ? decodeEntities(match[1]).trim() : null;
+}
+
+// Split the page body into one entry per h1-h3 heading
+function extractEntries(html, page, pageTitle) {
+    const body = stripChrome(html);
+    const docsStart = body.indexOf('class="docs-content"');
+    const docsEnd = body.indexOf('class="docs-sidebar"');
+    const headingPattern = /<h([1-3])([^>]*)>([\s\S]*?)<\/h\1>/gi;
+    const sectionPattern = /<section[^>]*\sid="([^"]+)"/gi;
+    const sections = [...body.matchAll(sectionPattern)].map(match => ({ index: match.index, id: match[1] }));
+    const headings = [...body.matchAll(headingPattern)];
+    const usedSlugs = new Map();
+    const entries = [];
+
+    headings.forEach((match, i) => {
+        const title = toText(match[3]);
+        if (!title) return;
+
+        const start = match.index + match[0].length;
+        const end = i + 1 < headings.length ? headings[i + 1].index : body.length;
+        const text = toText(body.slice(start, end)).slice(0, MAX_TEXT_LENGTH);
+        const ownId = (match[2].match(/\sid="([^"]+)"/) || [])[1];
+
+        let anchor;
+        if (ownId) {
+            anchor = ownId;
+        } else if (isDocHeading(body, match, docsStart, docsEnd)) {
+            // Same ids the doc page TOC assigns at runtime
+            anchor = uniqueSlug(title, usedSlugs);
+        } else {
+            const section = sections.filter(s => s.index < match.index).pop();
+            anchor = section ? section.id : null;
+        }
+
+        entries.push({
+            url: anchor ? `${page}#${anchor}` : page,
+            page: pageTitle,
+            title,
+            text
+        });
+    });
+
+    return entries;
+}
+
+// h2/h3 inside .docs-content, excluding card titles inside links
+function isDocHeading(body, match, docsStart, docsEnd) {
+    if (docsStart === -1 || match[1] === '1' || match.index < docsStart) return false;
+    if (docsEnd !== -1 && match.index > docsEnd) return false;
+    return body.lastIndexOf('<a ', match.index) <= body.lastIndexOf('</a>', match.index);
+}
+
+function stripChrome(html) {
+    const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1];
+    return body
+        .replace(/<(script|style|nav|footer|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '');
+}
+
+function toText(html) {
+    return decodeEntities(html.replace(/<[^>]+>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&times;/g, '×')
+        .replace(/&hellip;/g, '…')
+        .replace(/&mdash;/g, '—')
+        .replace(/&middot;/g, '·')
+        .replace(/&amp;/g, '&');
+}
+
+// Keep in sync with slugify() in script.js
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9\s-]/g, '')
+        .replace(/\s+/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '') || 'section';
+}
+
+function uniqueSlug(text, usedSlugs) {
+    const slug = slugify(text);
+    const count = usedSlugs.get(slug) || 0;
+    usedSlugs.set(slug, count + 1);
+    return count === 0 ? slug : `${slug}-${count + 1}`;
+}
+
+buildSearchIndex();
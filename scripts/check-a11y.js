@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// Run axe-core against every page in headless Chrome, at desktop and phone widths (the
+// latter with the mobile menu open), and fail on WCAG 2.1 A/AA violations.
+// Needs puppeteer and axe-core, which the site itself doesn't use. Any prefix that isn't
+// committed or deployed works: locally the git-ignored .dev/, in CI $RUNNER_TEMP/a11y.
+//   npm install --no-save --prefix .dev puppeteer axe-core
+//   NODE_PATH=.dev/node_modules node scripts/check-a11y.js [page.html ...]
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+const ROOT = path.resolve(__dirname, '..');
+const AXE_SOURCE = require.resolve('axe-core/axe.min.js');
+const WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+const VIEWPORTS = [
+    { name: 'desktop', width: 1280, height: 800 },
+    { name: 'mobile', width: 375, height: 740, openMenu: true }
+];
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+async function checkAccessibility(pages) {
+    const server = await serveSite();
+    const base = `http://localhost:${server.address().port}/`;
+    // GitHub's Ubuntu runners don't allow Chrome's sandbox
+    const browser = await puppeteer.launch({ args: ['--no-sandbox'] });
+    let violations = 0;
+
+    try {
+        for (const page of pages) {
+            for (const viewport of VIEWPORTS) {
+                const results = await auditPage(browser, base + page, viewport);
+                violations += results.length;
+                report(`${page} (${viewport.name})`, results);
+            }
+        }
+    } finally {
+        await browser.close();
+        server.close();
+    }
+
+    if (violations > 0) {
+        console.error(`\n${violations} accessibility violation(s)`);
+        process.exit(1);
+    }
+    console.log(`\nNo WCAG 2.1 A/AA violations on ${pages.length} page(s)`);
+}
+
+async function auditPage(browser, url, viewport) {
+    const page = await browser.newPage();
+    try {
+        await page.setViewport({ width: viewport.width, height: viewport.height });
+        await page.goto(url, { waitUntil: 'networkidle0' });
+        // The navbar controls and toolbars are added in idle time
+        await page.evaluate(() => new Promise(resolve => requestIdleCallback(() => setTimeout(resolve, 500))));
+
+        if (viewport.openMenu) {
+            await page.click('.hamburger');
+            // Let the slide-in transition finish so contrast is measured on the final colors
+            await new Promise(resolve => setTimeout(resolve, 400));
+        }
+
+        await page.addScriptTag({ path: AXE_SOURCE });
+        const results = await page.evaluate(tags => axe.run(document, {
+            runOnly: { type: 'tag', values: tags }
+        }), WCAG_TAGS);
+        return results.violations;
+    } finally {
+        await page.close();
+    }
+}
+
+function report(label, violations) {
+    if (violations.length === 0) {
+        console.log(`ok   ${label}`);
+        return;
+    }
+
+    console.log(`FAIL ${label}`);
+    violations.forEach(violation => {
+        console.log(`  ${violation.id} (${violation.impact}): ${violation.help}`);
+        violation.nodes.slice(0, 5).forEach(node => console.log(`    ${node.target.join(' ')}`));
+        if (violation.nodes.length > 5) console.log(`    ... and ${violation.nodes.length - 5} more`);
+    });
+}
+
+// Static server for the site root on a free port
+function serveSite() {
+    const server = http.createServer((request, response) => {
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (error) {
+            // A malformed escape is the client's mistake; don't let it end the run
+            response.writeHead(400);
+            response.end();
+            return;
+        }
+
+        let file = path.join(ROOT, pathname);
+        if (!file.startsWith(ROOT)) file = ROOT;
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+
+        if (!fs.existsSync(file)) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        fs.createReadStream(file).pipe(response);
+    });
+    return new Promise(resolve => server.listen(0, () => resolve(server)));
+}
+
+const pages = process.argv.slice(2);
+checkAccessibility(pages.length > 0 ? pages : fs.readdirSync(ROOT).filter(name => name.endsWith('.html')).sort())
+    .catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
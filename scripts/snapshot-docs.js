@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Freeze the current docs under docs/v<version>/ and register them in versions.json
+// Usage: node scripts/snapshot-docs.js <version> [released]
+//   e.g. node scripts/snapshot-docs.js 0.2.0 2025-06
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const VERSIONS_FILE = path.join(ROOT, 'versions.json');
+
+// Doc pages plus the data they describe; everything else (styles, script.js,
+// search) is shared with the live site and referenced from the root
+const VERSIONED_FILES = [
+    'getting-started.html',
+    'model-zoo.html',
+    'data-format.html',
+    'api-reference.html',
+    'examples.html',
+    'schema.js',
+    'models.json'
+];
+
+function snapshotDocs(version, released) {
+    if (!/^\d+\.\d+\.\d+(-[\w.]+)?$/.test(version || '')) {
+        console.error('Usage: node scripts/snapshot-docs.js <version> [released]');
+        process.exit(1);
+    }
+
+    const versions = JSON.parse(fs.readFileSync(VERSIONS_FILE, 'utf8'));
+    if (versions.versions.some(entry => entry.version === version)) {
+        console.error(`Version ${version} is already in versions.json`);
+        process.exit(1);
+    }
+
+    const docsPath = `docs/v${version}/`;
+    const outputDir = path.join(ROOT, docsPath);
+    const files = VERSIONED_FILES.filter(file => fs.existsSync(path.join(ROOT, file)));
+    const rootPrefix = docsPath.split('/').filter(Boolean).map(() => '../').join('');
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    files.forEach(file => {
+        let content = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        if (file.endsWith('.html')) {
+            content = rewriteHtml(content, version, files, rootPrefix);
+        }
+        fs.writeFileSync(path.join(outputDir, file), content);
+        console.log(`Copied ${file} -> ${docsPath}${file}`);
+    });
+
+    // Newest archived version goes right after "latest"
+    versions.versions.splice(1, 0, {
+        version,
+        label: `v${version}`,
+        released: released || null,
+        path: docsPath,
+        files
+    });
+    versions.latest = version;
+    fs.writeFileSync(VERSIONS_FILE, JSON.stringify(versions, null, 2) + '\n');
+    console.log(`Registered ${version} in versions.json`);
+}
+
+// Point shared assets and non-versioned pages back at the site root
+function rewriteHtml(html, version, files, rootPrefix) {
+    // The language alternates name the latest pages, not this archive
+    const archived = html.replace(/\n *<!-- Language alternates[^\n]*-->(\n *<link rel="alternate" hreflang="[^\n]*)+/, '');
+    const rewritten = archived.replace(/(href|src)="([^"#][^"]*)"/g, (match, attr, url) => {
+        if (/^([a-z]+:|\/\/|\/)/i.test(url)) return match;
+        const file = url.split(/[?#]/)[0];
+        return files.includes(file) ? match : `${attr}="${rootPrefix}${url}"`;
+    });
+
+    const meta = `\n    <meta name="docs-version" content="${version}">` +
+        `\n    <meta name="docs-root" content="${rootPrefix}">`;
+    return rewritten.replace(/(<meta charset="[^"]*">)/i, `$1${meta}`);
+}
+
+snapshotDocs(process.argv[2], process.argv[3]);
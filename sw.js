@@ -1,18 +1,30 @@
 // Service Worker for ChanFM Website
 // Cache static resources for faster loading
 
-const CACHE_NAME = 'chanfm-v1.0.0';
+// precache-manifest.js is generated by scripts/build-precache.js. Browsers also check
+// imported scripts for changes, so a new manifest is enough to trigger an update.
+importScripts('/analytics-queue.js', '/cache-metadata.js', '/precache-manifest.js');
+
+// One static cache per manifest revision; install fills it, activate drops the older ones
+const STATIC_CACHE_PREFIX = 'chanfm-v';
+const CACHE_NAME = STATIC_CACHE_PREFIX + PRECACHE_REVISION;
+// Each archived docs version gets its own cache, e.g. chanfm-docs-0.1.0-alpha
+const DOCS_CACHE_PREFIX = 'chanfm-docs-';
 const CACHE_STRATEGY = 'cache-first';
 
 // Resources to cache immediately
-const STATIC_RESOURCES = [
-    '/',
-    '/index.html',
-    '/getting-started.html',
-    '/styles.css',
-    '/script.js',
-    '/404.html',
-    // External resources (will be cached when fetched)
+const STATIC_RESOURCES = PRECACHE_MANIFEST.map(entry => entry.url);
+// Precached copies are current until the next manifest, so they skip background refreshes
+const PRECACHED_URLS = new Set(STATIC_RESOURCES.map(url => new URL(url, location.origin).href));
+// Revisions of the precached entries, stored alongside them in the static cache
+const PRECACHE_REVISIONS_KEY = '/__precache-revisions';
+
+// Limits for entries cached at runtime. maxAge counts from when an entry was stored;
+// past maxEntries the least recently used go first. Precached entries never expire.
+const DAY = 24 * 60 * 60 * 1000;
+const CACHE_LIMITS = [
+    { prefix: STATIC_CACHE_PREFIX, maxAge: 30 * DAY, maxEntries: 60 },
+    { prefix: DOCS_CACHE_PREFIX, maxAge: 90 * DAY, maxEntries: 40 }
 ];
 
 // Resources to cache when accessed
@@ -26,37 +38,163 @@ self.addEventListener('install', event => {
     console.log('[SW] Installing...');
 
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('[SW] Caching static resources');
-                return cache.addAll(STATIC_RESOURCES);
-            })
+        precacheStaticResources()
+            .then(() => precacheDocVersions())
             .then(() => {
+                // An update waits until the page sends SKIP_WAITING, so open tabs
+                // never switch versions mid-read. First installs activate right away.
                 console.log('[SW] Installation complete');
-                return self.skipWaiting();
             })
             .catch(error => {
+                // Fail the install: a half-filled cache must not replace the current one,
+                // so the old worker and its cache stay until the next attempt
                 console.error('[SW] Installation failed:', error);
+                throw error;
             })
     );
 });
 
+// Fill this revision's static cache. Entries whose revision is unchanged are copied from
+// the previous static cache; only changed ones are downloaded. Entries dropped from the
+// manifest are left behind, and go when activate deletes the previous cache. Anything
+// else in it was cached at runtime (fonts, CDN styles) and is carried over.
+async function precacheStaticResources() {
+    const cache = await caches.open(CACHE_NAME);
+    if (await cache.match(PRECACHE_REVISIONS_KEY)) return;
+
+    const previousName = await previousStaticCache();
+    const previous = previousName && await caches.open(previousName);
+    const previousRevisions = previous ? await readRevisions(previous) : {};
+    const changed = [];
+    const carried = [];
+
+    for (const { url, revision } of PRECACHE_MANIFEST) {
+        const cached = previousRevisions[url] === revision && await previous.match(url);
+        if (cached) {
+            await cache.put(url, cached);
+            carried.push(new URL(url, location.origin).href);
+        } else {
+            changed.push(url);
+        }
+    }
+
+    // Bypass the HTTP cache, which may still hold the old file under a short max-age
+    await cache.addAll(changed.map(url => new Request(url, { cache: 'reload' })));
+
+    if (previous) {
+        for (const request of await previous.keys()) {
+            const { pathname, origin } = new URL(request.url);
+            const runtime = !(origin === location.origin && (pathname in previousRevisions || pathname === PRECACHE_REVISIONS_KEY));
+            if (runtime && !(await cache.match(request))) {
+                await cache.put(request, await previous.match(request));
+                carried.push(request.url);
+            }
+        }
+    }
+
+    // Carried entries keep their ages; changed ones are measured fresh
+    try {
+        if (previous) await copyCacheEntries(previousName, CACHE_NAME, carried);
+        await indexCache(CACHE_NAME);
+    } catch (error) {
+        logMetadataError(error);
+    }
+
+    // Written last, so an interrupted install starts over next time
+    const revisions = Object.fromEntries(PRECACHE_MANIFEST.map(entry => [entry.url, entry.revision]));
+    await cache.put(PRECACHE_REVISIONS_KEY, new Response(JSON.stringify(revisions), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+    console.log(`[SW] Precached ${changed.length} changed, ${PRECACHE_MANIFEST.length - changed.length} unchanged resources`);
+}
+
+// Name of the most recent older static cache with a revision record, if any
+async function previousStaticCache() {
+    const names = (await caches.keys())
+        .filter(name => name.startsWith(STATIC_CACHE_PREFIX) && name !== CACHE_NAME)
+        .reverse();
+
+    for (const name of names) {
+        const cache = await caches.open(name);
+        if (await cache.match(PRECACHE_REVISIONS_KEY)) return name;
+    }
+    return null;
+}
+
+async function readRevisions(cache) {
+    try {
+        return await (await cache.match(PRECACHE_REVISIONS_KEY)).json();
+    } catch (error) {
+        return {};
+    }
+}
+
+// Precache every archived docs version into its own cache
+async function precacheDocVersions() {
+    const versions = await readDocVersions() || [];
+
+    await Promise.all(versions.map(async entry => {
+        try {
+            const cacheName = DOCS_CACHE_PREFIX + entry.version;
+            const cache = await caches.open(cacheName);
+            await cache.addAll(entry.files.map(file => `/${entry.path}${file}`));
+            await indexCache(cacheName).catch(logMetadataError);
+            console.log('[SW] Cached docs version', entry.version);
+        } catch (error) {
+            // One missing snapshot shouldn't block the others
+            console.error('[SW] Failed to cache docs version', entry.version, error);
+        }
+    }));
+}
+
+// Archived versions from versions.json, or null if it can't be read.
+// "latest" is served from the static cache.
+async function readDocVersions() {
+    const data = await readVersionsFile(false);
+    return data ? data.versions.filter(entry => entry.version !== 'latest' && entry.path) : null;
+}
+
+async function readVersionsFile(preferNetwork) {
+    try {
+        const response = preferNetwork
+            ? await fetch('/versions.json').catch(() => caches.match('/versions.json'))
+            : await caches.match('/versions.json') || await fetch('/versions.json');
+        return await response.json();
+    } catch (error) {
+        console.error('[SW] Could not read versions.json:', error);
+        return null;
+    }
+}
+
+function isOwnCache(cacheName) {
+    return cacheName.startsWith(STATIC_CACHE_PREFIX) || cacheName.startsWith(DOCS_CACHE_PREFIX);
+}
+
 // Activate event - clean up old caches
 self.addEventListener('activate', event => {
     console.log('[SW] Activating...');
 
     event.waitUntil(
-        caches.keys()
-            .then(cacheNames => {
+        Promise.all([caches.keys(), readDocVersions()])
+            .then(([cacheNames, versions]) => {
+                const docCaches = versions?.map(entry => DOCS_CACHE_PREFIX + entry.version);
+
+                // Only drop our own stale caches: older static caches, and docs
+                // versions no longer listed in versions.json (kept if it's unreadable)
                 return Promise.all(
                     cacheNames.map(cacheName => {
-                        if (cacheName !== CACHE_NAME) {
+                        const staleStatic = cacheName.startsWith(STATIC_CACHE_PREFIX) && cacheName !== CACHE_NAME;
+                        const staleDocs = docCaches && cacheName.startsWith(DOCS_CACHE_PREFIX) && !docCaches.includes(cacheName);
+                        if (staleStatic || staleDocs) {
                             console.log('[SW] Deleting old cache:', cacheName);
-                            return caches.delete(cacheName);
+                            return caches.delete(cacheName)
+                                .then(() => deleteCacheMetadata(cacheName).catch(logMetadataError));
                         }
                     })
                 );
             })
+            // Periodic Background Sync is rare, so expire entries on every activation too
+            .then(() => performCacheCleanup().catch(error => console.error('[SW] Cache cleanup failed:', error)))
             .then(() => {
                 console.log('[SW] Activation complete');
                 return self.clients.claim();
@@ -110,43 +248,76 @@ async function handleRequest(request) {
     } catch (error) {
         console.error('[SW] Request failed:', request.url, error);
 
-        // Return fallback for HTML requests
+        // Pages we can't reach or find in the cache get the offline page, not 404.html:
+        // real 404s come back from the network as responses and are returned above
         if (request.headers.get('Accept')?.includes('text/html')) {
-            return await caches.match('/404.html') || new Response('Page not found', { status: 404 });
+            return await offlineFallback();
         }
 
         return new Response('Resource not available', { status: 503 });
     }
 }
 
+// offline.html under the requested URL, so retrying reloads the page that failed
+async function offlineFallback() {
+    const cached = await caches.match('/offline.html');
+    if (!cached) {
+        return new Response('You are offline and this page is not cached.', {
+            status: 503,
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+        });
+    }
+
+    return new Response(cached.body, { status: 503, headers: cached.headers });
+}
+
+// Query parameters only script.js reads: ?tab= picks code tabs and ?lang= the language.
+// The page is the same file without them, so it's cached and looked up under the bare
+// URL, and a shared deep link still opens offline.
+const CLIENT_ONLY_PARAMS = ['tab', 'lang'];
+
+function cacheKey(request) {
+    if (request.mode !== 'navigate') return request;
+
+    const url = new URL(request.url);
+    CLIENT_ONLY_PARAMS.forEach(name => url.searchParams.delete(name));
+    return url.href === request.url ? request : new Request(url.href);
+}
+
 // Cache first strategy - good for static assets
 async function cacheFirst(request) {
-    const cachedResponse = await caches.match(request);
+    const key = cacheKey(request);
+    const cachedResponse = await caches.match(key);
 
     if (cachedResponse) {
-        // Update cache in background
-        updateCacheInBackground(request);
+        touchCacheEntry(cacheNameFor(key.url), key.url).catch(logMetadataError);
+        // Update cache in background, unless the precache manifest vouches for this copy
+        if (!PRECACHED_URLS.has(key.url)) {
+            updateCacheInBackground(key);
+        }
         return cachedResponse;
     }
 
-    return await fetchAndCache(request);
+    return await fetchAndCache(request, key);
 }
 
 // Network first strategy - good for HTML pages
 async function networkFirst(request) {
+    const key = cacheKey(request);
     try {
         const networkResponse = await fetch(request);
 
         if (networkResponse.ok) {
-            await updateCache(request, networkResponse.clone());
+            await updateCache(key, networkResponse.clone());
         }
 
         return networkResponse;
     } catch (error) {
         console.log('[SW] Network failed, trying cache:', request.url);
 
-        const cachedResponse = await caches.match(request);
+        const cachedResponse = await caches.match(key);
         if (cachedResponse) {
+            touchCacheEntry(cacheNameFor(key.url), key.url).catch(logMetadataError);
             return cachedResponse;
         }
 
@@ -154,21 +325,109 @@ async function networkFirst(request) {
     }
 }
 
-// Fetch and cache a request
-async function fetchAndCache(request) {
+// Fetch and cache a request, stored under key when given
+async function fetchAndCache(request, key = request) {
     const response = await fetch(request);
 
     if (response.ok) {
-        await updateCache(request, response.clone());
+        await updateCache(key, response.clone());
     }
 
     return response;
 }
 
-// Update cache with new response
+// Update cache with new response, then apply that cache's limits
 async function updateCache(request, response) {
-    const cache = await caches.open(CACHE_NAME);
+    const cacheName = cacheNameFor(request.url);
+    const cache = await caches.open(cacheName);
+    const size = await responseSize(response);
     await cache.put(request, response);
+
+    try {
+        await recordCacheEntry(cacheName, request.url, size, false);
+        scheduleCacheLimits(cacheName);
+    } catch (error) {
+        logMetadataError(error);
+    }
+}
+
+// Bytes the cache holds for a response. Opaque (no-cors CDN) responses hide their
+// body, so their size is unknown (null) rather than 0.
+async function responseSize(response) {
+    if (!response || response.type === 'opaque') return null;
+    return (await response.clone().blob()).size;
+}
+
+// Record entries a cache holds but the metadata doesn't know yet: precached files, and
+// anything cached before metadata existed. Each is measured once, here.
+async function indexCache(cacheName) {
+    const cache = await caches.open(cacheName);
+    const known = new Set((await readCacheEntries(cacheName)).map(entry => entry.url));
+
+    for (const request of await cache.keys()) {
+        if (known.has(request.url) || new URL(request.url).pathname === PRECACHE_REVISIONS_KEY) continue;
+        const size = await responseSize(await cache.match(request));
+        await recordCacheEntry(cacheName, request.url, size, isPrecached(cacheName, request.url));
+    }
+}
+
+// Docs caches are filled from snapshot file lists, so anything found there unrecorded
+// came from a precache
+function isPrecached(cacheName, url) {
+    return cacheName.startsWith(DOCS_CACHE_PREFIX) || PRECACHED_URLS.has(url);
+}
+
+function cacheLimitsFor(cacheName) {
+    return CACHE_LIMITS.find(limits => cacheName.startsWith(limits.prefix));
+}
+
+// Limits run after cache writes, one pass at a time; writes during a pass queue at most one more
+const pendingCacheLimits = new Set();
+let cacheLimitsQueue = Promise.resolve();
+
+function scheduleCacheLimits(cacheName) {
+    if (pendingCacheLimits.has(cacheName)) return;
+    pendingCacheLimits.add(cacheName);
+
+    cacheLimitsQueue = cacheLimitsQueue
+        .then(() => {
+            pendingCacheLimits.delete(cacheName);
+            return enforceCacheLimits(cacheName);
+        })
+        .catch(error => console.error('[SW] Cache limits failed:', cacheName, error));
+}
+
+// Drop runtime entries older than maxAge, then the least recently used beyond maxEntries
+async function enforceCacheLimits(cacheName) {
+    const limits = cacheLimitsFor(cacheName);
+    if (!limits) return;
+
+    const now = Date.now();
+    const entries = (await readCacheEntries(cacheName)).filter(entry => !entry.precached);
+    const expired = entries.filter(entry => now - entry.storedAt > limits.maxAge);
+    const overflow = entries
+        .filter(entry => !expired.includes(entry))
+        .sort((a, b) => b.accessedAt - a.accessedAt)
+        .slice(limits.maxEntries);
+    const evicted = [...expired, ...overflow].map(entry => entry.url);
+    if (evicted.length === 0) return;
+
+    const cache = await caches.open(cacheName);
+    await Promise.all(evicted.map(url => cache.delete(url)));
+    await deleteCacheEntries(cacheName, evicted);
+    console.log(`[SW] Evicted ${expired.length} expired, ${overflow.length} least recently used from ${cacheName}`);
+}
+
+// Metadata is best effort: without IndexedDB, caching still works but nothing expires
+function logMetadataError(error) {
+    console.log('[SW] Cache metadata unavailable:', error?.message || error);
+}
+
+// Archived docs live in their version's cache, everything else in the static cache
+function cacheNameFor(url) {
+    const { origin, pathname } = new URL(url);
+    const match = origin === location.origin && pathname.match(/^\/docs\/v([^/]+)\//);
+    return match ? DOCS_CACHE_PREFIX + match[1] : CACHE_NAME;
 }
 
 // Update cache in background (for cache-first strategy)
@@ -211,47 +470,156 @@ self.addEventListener('message', event => {
             break;
 
         case 'GET_CACHE_SIZE':
-            getCacheSize()
-                .then(size => {
-                    event.ports[0]?.postMessage({ size });
-                });
+            reply(event, getCacheSize().then(size => ({ size })));
+            break;
+
+        case 'GET_CACHE_DETAILS':
+            reply(event, getCacheDetails());
+            break;
+
+        case 'PRECACHE_ALL':
+            reply(event, precacheAll(event.ports[0]));
+            break;
+
+        // Fallback for browsers without Background Sync; the page sends this when back online
+        case 'FLUSH_ANALYTICS':
+            event.waitUntil(flushAnalytics().catch(() => {}));
             break;
 
         case 'CLEAR_CACHE':
-            clearCache()
-                .then(() => {
-                    event.ports[0]?.postMessage({ success: true });
-                });
+            reply(event, clearCache().then(() => ({ success: true })));
             break;
     }
 });
 
+// Answer on the page's MessageChannel port with the result, or { error } if it fails.
+// waitUntil keeps the worker alive until the reply is sent.
+function reply(event, work) {
+    event.waitUntil(work
+        .then(result => event.ports[0]?.postMessage(result))
+        .catch(error => {
+            console.error('[SW] Request failed:', event.data.type, error);
+            event.ports[0]?.postMessage({ error: error.message || String(error) });
+        }));
+}
+
 // Get total cache size
 async function getCacheSize() {
-    const cache = await caches.open(CACHE_NAME);
-    const requests = await cache.keys();
+    const { total } = await getCacheDetails();
+    return total;
+}
 
-    let totalSize = 0;
+// Every cached URL across the static and docs caches, from the metadata store. Entries
+// it doesn't know yet are measured once and recorded, so later calls read no bodies.
+async function getCacheDetails() {
+    const cacheNames = (await caches.keys()).filter(isOwnCache);
+    const entries = [];
 
-    for (const request of requests) {
+    for (const cacheName of cacheNames) {
         try {
-            const response = await cache.match(request);
-            if (response) {
-                const text = await response.text();
-                totalSize += new Blob([text]).size;
-            }
+            await indexCache(cacheName);
+            const cached = new Set((await caches.open(cacheName).then(cache => cache.keys())).map(request => request.url));
+            // Skip metadata whose response is gone, e.g. evicted by the browser
+            entries.push(...(await readCacheEntries(cacheName)).filter(entry => cached.has(entry.url)));
+        } catch (error) {
+            logMetadataError(error);
+        }
+    }
+
+    const cacheStats = cacheNames.map(name => {
+        const own = entries.filter(entry => entry.cache === name);
+        const limits = cacheLimitsFor(name);
+        return {
+            name,
+            count: own.length,
+            size: own.reduce((sum, entry) => sum + (entry.size || 0), 0),
+            maxAge: limits?.maxAge ?? null,
+            maxEntries: limits?.maxEntries ?? null
+        };
+    });
+
+    return {
+        entries,
+        caches: cacheStats,
+        // Opaque entries count as 0 here; browsers may charge them more against the quota
+        total: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+        unknown: entries.filter(entry => entry.size === null).length,
+        storage: await storageEstimate()
+    };
+}
+
+// Origin-wide usage and quota, where the browser reports them
+async function storageEstimate() {
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Everything needed to read the docs offline, with the cache each URL belongs in
+async function offlineResources() {
+    const data = await readVersionsFile(true);
+    const resources = [...STATIC_RESOURCES, ...RUNTIME_CACHE].map(url => ({ url, cacheName: CACHE_NAME }));
+
+    (data?.versions || []).forEach(entry => {
+        const cacheName = entry.version === 'latest' ? CACHE_NAME : DOCS_CACHE_PREFIX + entry.version;
+        entry.files.forEach(file => resources.push({ url: `/${entry.path}${file}`, cacheName }));
+    });
+
+    // Drop duplicates such as latest pages already in STATIC_RESOURCES
+    return resources.filter((resource, i) => resources.findIndex(r => r.url === resource.url) === i);
+}
+
+// Fetch each resource in turn, reporting progress over the message port
+async function precacheAll(port) {
+    const resources = await offlineResources();
+    const failed = [];
+    let done = 0;
+
+    for (const { url, cacheName } of resources) {
+        try {
+            const cache = await caches.open(cacheName);
+            const request = new Request(url, { cache: 'reload' });
+            await cache.add(request);
+            // Saved on request for offline reading, so exempt from expiry
+            const size = await responseSize(await cache.match(request));
+            await recordCacheEntry(cacheName, request.url, size, true).catch(logMetadataError);
         } catch (error) {
-            // Skip problematic responses
+            console.log('[SW] Precache failed:', url);
+            failed.push(url);
         }
+        done++;
+        port?.postMessage({ type: 'progress', done, total: resources.length, url });
     }
 
-    return totalSize;
+    return { type: 'complete', total: resources.length, failed };
 }
 
-// Clear all caches
+// Clear our caches, leaving any other caches on this origin alone
 async function clearCache() {
-    const cacheNames = await caches.keys();
+    const cacheNames = (await caches.keys()).filter(isOwnCache);
     await Promise.all(cacheNames.map(name => caches.delete(name)));
+    await deleteCacheMetadata().catch(logMetadataError);
+}
+
+// Send analytics batches queued while offline
+self.addEventListener('sync', event => {
+    if (event.tag === 'analytics-flush') {
+        event.waitUntil(flushAnalytics());
+    }
+});
+
+async function flushAnalytics() {
+    try {
+        const sent = await flushAnalyticsQueue();
+        if (sent > 0) console.log('[SW] Sent queued analytics batches:', sent);
+    } catch (error) {
+        console.log('[SW] Analytics flush failed, will retry:', error.message);
+        // Rethrow so Background Sync schedules a retry
+        throw error;
+    }
 }
 
 // Periodic cache cleanup (every 24 hours)
@@ -261,29 +629,19 @@ self.addEventListener('periodicsync', event => {
     }
 });
 
+// Apply every cache's limits, and forget metadata of caches that no longer exist
 async function performCacheCleanup() {
-    const cache = await caches.open(CACHE_NAME);
-    const requests = await cache.keys();
+    const cacheNames = (await caches.keys()).filter(isOwnCache);
 
-    // Remove expired entries (older than 7 days)
-    const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-    const now = Date.now();
+    for (const cacheName of cacheNames) {
+        await enforceCacheLimits(cacheName);
+    }
 
-    for (const request of requests) {
-        try {
-            const response = await cache.match(request);
-            const dateHeader = response?.headers.get('date');
-
-            if (dateHeader) {
-                const responseDate = new Date(dateHeader).getTime();
-                if (now - responseDate > maxAge) {
-                    await cache.delete(request);
-                    console.log('[SW] Removed expired cache entry:', request.url);
-                }
-            }
-        } catch (error) {
-            console.error('[SW] Cache cleanup error:', error);
-        }
+    const orphaned = new Set((await readCacheEntries())
+        .map(entry => entry.cache)
+        .filter(name => !cacheNames.includes(name)));
+    for (const cacheName of orphaned) {
+        await deleteCacheMetadata(cacheName);
     }
 }
 
@@ -0,0 +1,33 @@
+// Theme preference: light, dark, high contrast, or follow the system ("auto").
+// Loaded without defer in <head>, before styles.css applies, so the first paint
+// already uses the right palette. script.js adds the navbar toggle.
+
+const THEME_KEY = 'chanfm-theme';
+const THEME_PREFERENCES = ['auto', 'light', 'dark', 'contrast'];
+
+function storedThemePreference() {
+    try {
+        const preference = localStorage.getItem(THEME_KEY);
+        return THEME_PREFERENCES.includes(preference) ? preference : 'auto';
+    } catch (error) {
+        // Storage can be blocked (privacy mode, sandboxed frames)
+        return 'auto';
+    }
+}
+
+// "auto" asks the OS: a request for more contrast wins over a dark scheme
+function resolveTheme(preference) {
+    if (preference !== 'auto') return preference;
+    if (window.matchMedia('(prefers-contrast: more)').matches) return 'contrast';
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) return 'dark';
+    return 'light';
+}
+
+function applyTheme(preference) {
+    const theme = resolveTheme(preference);
+    document.documentElement.setAttribute('data-theme', theme);
+    document.documentElement.setAttribute('data-theme-preference', preference);
+    return theme;
+}
+
+applyTheme(storedThemePreference());